@@ -0,0 +1,161 @@
+/**
+ * Download external calendars (calendar import)
+ *
+ * Calendar URLs come from business owners, so requests must not reach the
+ * service's own network: host names are resolved and checked before
+ * connecting, and every redirect is checked again.
+ */
+
+import fetch from 'node-fetch';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { unfoldICS } from './ics.js';
+
+export const CALENDAR_IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+const CALENDAR_IMPORT_TIMEOUT_MS = 15000;
+
+// Redirects followed by hand, so every hop is checked
+const CALENDAR_IMPORT_MAX_REDIRECTS = 5;
+
+// Addresses a calendar URL may not reach: private, loopback, link-local
+// (cloud metadata), CGNAT, multicast and reserved ranges
+const BLOCKED_CALENDAR_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_CALENDAR_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_CALENDAR_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * An import failure whose message is safe to show the business
+ */
+export function calendarImportError(message) {
+  return Object.assign(new Error(message), { code: 'ECALENDAR' });
+}
+
+/**
+ * The message to show or store for a failed import
+ * Anything not raised by the import code itself gets a generic message, so
+ * fetched content and internal details never reach the response or last_error.
+ */
+export function describeCalendarError(error) {
+  return error?.code === 'ECALENDAR' ? error.message : 'Could not read calendar';
+}
+
+/**
+ * Whether an IP address is on a private or otherwise internal network
+ * BlockList checks IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges.
+ */
+export function isBlockedCalendarAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_CALENDAR_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup that refuses internal addresses, so a public name that resolves
+ * to one is never connected to
+ */
+export function calendarSafeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isBlockedCalendarAddress(entry.address))) {
+      return callback(Object.assign(new Error('Calendar URL points to a private network'), { code: 'EBLOCKED' }));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+const calendarHttpAgent = new http.Agent({ lookup: calendarSafeLookup });
+const calendarHttpsAgent = new https.Agent({ lookup: calendarSafeLookup });
+
+/**
+ * Validate an external calendar URL
+ * webcal:// links (as Google and Apple share them) are fetched over https.
+ * Local and private network addresses are refused here for IP literals and
+ * by calendarSafeLookup for host names.
+ * @returns {string|null} The URL to fetch, or null if it is not allowed
+ */
+export function normalizeCalendarUrl(value) {
+  if (typeof value !== 'string') return null;
+
+  let url;
+  try {
+    url = new URL(value.trim().replace(/^webcals?:\/\//i, 'https://'));
+  } catch {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) return null;
+  if (url.username || url.password) return null;
+
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) {
+    return null;
+  }
+  if (net.isIP(host) && isBlockedCalendarAddress(host)) return null;
+
+  return url.toString();
+}
+
+/**
+ * Download an external calendar
+ * Redirects are followed by hand so each hop is validated again, and
+ * connections go through calendarSafeLookup. Errors never include the
+ * response, only a short reason.
+ * Folded lines are joined before decoding, so a fold inside a UTF-8 character survives.
+ */
+export async function fetchCalendarSource(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CALENDAR_IMPORT_TIMEOUT_MS);
+
+  try {
+    let target = normalizeCalendarUrl(url);
+
+    for (let hop = 0; hop <= CALENDAR_IMPORT_MAX_REDIRECTS; hop++) {
+      if (!target) throw calendarImportError('Calendar URL is not allowed');
+
+      const response = await fetch(target, {
+        headers: { Accept: 'text/calendar' },
+        signal: controller.signal,
+        size: CALENDAR_IMPORT_MAX_BYTES,
+        redirect: 'manual',
+        agent: parsedUrl => (parsedUrl.protocol === 'http:' ? calendarHttpAgent : calendarHttpsAgent)
+      });
+
+      if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+        target = normalizeCalendarUrl(new URL(response.headers.get('location'), target).toString());
+        continue;
+      }
+
+      if (!response.ok) {
+        throw calendarImportError(`Calendar URL returned ${response.status}`);
+      }
+
+      const body = Buffer.from(await response.arrayBuffer());
+      return unfoldICS(body.toString('latin1'), 'latin1');
+    }
+
+    throw calendarImportError('Calendar URL redirected too many times');
+  } catch (error) {
+    if (error.name === 'AbortError') throw calendarImportError('Calendar URL timed out');
+    if (error.code === 'EBLOCKED') throw calendarImportError('Calendar URL is not allowed');
+    if (error.name === 'FetchError') {
+      throw calendarImportError(error.type === 'max-size' ? 'Calendar is too large' : 'Could not connect to calendar URL');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,499 @@
+/**
+ * iCalendar (RFC 5545) text format
+ *
+ * Writing: escaping, parameter quoting, 75-octet line folding and CRLF serialization.
+ * Reading: unfolding, content lines and VEVENT properties, dates, time zones,
+ * recurrence rules and busy blocks.
+ * Used by the calendar feed and the external calendar import in index.js.
+ */
+
+import crypto from 'crypto';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Safety limits for recurring events without an end
+const RRULE_MAX_PERIODS = 5000;
+const RRULE_MAX_OCCURRENCES = 1000;
+
+// Floating times and unknown TZIDs are read as the business's local time
+const CALENDAR_IMPORT_DEFAULT_TZ = 'Asia/Jerusalem';
+
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11): backslash, semicolon, comma and newlines
+ */
+export function escapeICSText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Undo escapeICSText: \\, \;, \, and \n (or \N)
+ */
+export function unescapeICSText(value) {
+  return String(value ?? '').replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Format a parameter value (RFC 5545 3.2): quoted when it contains : ; or ,
+ * Double quotes and control characters cannot be represented and are removed.
+ */
+export function formatICSParam(value) {
+  const clean = String(value ?? '').replace(/["\x00-\x1f\x7f]/g, '');
+  return /[:;,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets (RFC 5545 3.1)
+ * Continuation lines start with a space, and multi-byte UTF-8 characters are never split.
+ */
+export function foldICSLine(line) {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  let limit = 75;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf-8');
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+      limit = 74; // the leading space takes one octet
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Join content lines into an iCalendar object: folded, CRLF-terminated
+ */
+export function serializeICS(lines) {
+  return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Content lines of a display alarm, minutesBefore the event starts
+ */
+export function generateAlarm(description, minutesBefore) {
+  return [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeICSText(description)}`,
+    `TRIGGER:-PT${minutesBefore}M`,
+    'END:VALARM'
+  ];
+}
+
+/**
+ * Join folded ICS lines (RFC 5545 section 3.1)
+ * @param {string} encoding - 'latin1' when the text is still raw bytes, to decode as UTF-8 afterwards
+ */
+export function unfoldICS(text, encoding) {
+  const unfolded = text.replace(/\r?\n[ \t]/g, '');
+  return encoding === 'latin1' ? Buffer.from(unfolded, 'latin1').toString('utf8') : unfolded;
+}
+
+/**
+ * Split an unfolded content line into name, parameters and value
+ * @returns {object|null} { name, params, value }
+ */
+export function parseICSContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 0) return null;
+
+  const head = line.slice(0, colon);
+  const name = head.split(';')[0].toUpperCase();
+  const params = {};
+  for (const match of head.slice(name.length).matchAll(/;([^=;]+)=("[^"]*"|[^;]*)/g)) {
+    params[match[1].toUpperCase()] = match[2].replace(/^"|"$/g, '');
+  }
+
+  return { name, params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Read the VEVENTs of a calendar
+ * Nested components (VALARM) are skipped.
+ * @returns {Array<object>} Events as property name → list of { params, value }
+ */
+export function parseICSEvents(text) {
+  const events = [];
+  const stack = [];
+  let event = null;
+
+  for (const line of unfoldICS(text).split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const property = parseICSContentLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      stack.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') event = {};
+      continue;
+    }
+
+    if (property.name === 'END') {
+      if (stack.pop() === 'VEVENT' && event) {
+        events.push(event);
+        event = null;
+      }
+      continue;
+    }
+
+    if (event && stack[stack.length - 1] === 'VEVENT') {
+      (event[property.name] ||= []).push({ params: property.params, value: property.value });
+    }
+  }
+
+  return events;
+}
+
+const timeZoneFormatters = new Map();
+
+/**
+ * Whether Intl knows a time zone (Outlook sends Windows names such as "Israel Standard Time")
+ */
+function getTimeZoneFormatter(timeZone) {
+  if (!timeZoneFormatters.has(timeZone)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    } catch {
+      // Unknown zone
+    }
+    timeZoneFormatters.set(timeZone, formatter);
+  }
+  return timeZoneFormatters.get(timeZone);
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in ms
+ */
+function getTimeZoneOffset(instant, timeZone) {
+  const parts = {};
+  for (const part of getTimeZoneFormatter(timeZone).formatToParts(new Date(instant))) {
+    parts[part.type] = parseInt(part.value);
+  }
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+  return asUTC - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time (ms, counted as if it were UTC) in a time zone to a Date
+ */
+export function wallTimeToDate(wallTime, timeZone) {
+  if (timeZone === 'UTC') return new Date(wallTime);
+
+  // The second pass settles times next to a DST change
+  let instant = wallTime - getTimeZoneOffset(wallTime, timeZone);
+  instant = wallTime - getTimeZoneOffset(instant, timeZone);
+  return new Date(instant);
+}
+
+/**
+ * Parse a DATE or DATE-TIME property
+ * @returns {object|null} { wallTime, timeZone, allDay } - wallTime is ms as if the local time were UTC
+ */
+export function parseICSDateTime(property) {
+  const match = property?.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const wallTime = Date.UTC(year, month - 1, day, hours || 0, minutes || 0, seconds || 0);
+  const allDay = hours === undefined;
+
+  let timeZone = CALENDAR_IMPORT_DEFAULT_TZ;
+  if (utc) {
+    timeZone = 'UTC';
+  } else if (!allDay && property.params.TZID && getTimeZoneFormatter(property.params.TZID)) {
+    timeZone = property.params.TZID;
+  }
+
+  return { wallTime, timeZone, allDay };
+}
+
+/**
+ * Parse a DURATION value (e.g. PT1H30M, P1D)
+ * @returns {number|null} Duration in ms
+ */
+export function parseICSDuration(value) {
+  const match = value?.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((parseInt(weeks) || 0) * 7 + (parseInt(days) || 0)) * DAY_MS +
+    (parseInt(hours) || 0) * HOUR_MS + (parseInt(minutes) || 0) * 60000 + (parseInt(seconds) || 0) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Parse an RRULE value
+ * @returns {object|null} The rule, or null if its FREQ is not supported
+ */
+export function parseRRule(value) {
+  const parts = Object.fromEntries(
+    value.split(';').map(part => part.split('=')).map(([key, val]) => [key.toUpperCase(), val])
+  );
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(parts.FREQ)) return null;
+
+  const numbers = val => (val ? val.split(',').map(n => parseInt(n)).filter(Number.isFinite) : []);
+
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(parseInt(parts.INTERVAL) || 1, 1),
+    count: parseInt(parts.COUNT) || null,
+    until: parts.UNTIL ? parseICSDateTime({ value: parts.UNTIL, params: {} }) : null,
+    byDay: (parts.BYDAY ? parts.BYDAY.split(',') : [])
+      .map(day => day.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/))
+      .filter(Boolean)
+      .map(([, ordinal, day]) => ({ ordinal: ordinal ? parseInt(ordinal) : null, weekday: ICS_WEEKDAYS.indexOf(day) })),
+    byMonthDay: numbers(parts.BYMONTHDAY),
+    byMonth: numbers(parts.BYMONTH),
+    weekStart: ICS_WEEKDAYS.includes(parts.WKST) ? ICS_WEEKDAYS.indexOf(parts.WKST) : 1
+  };
+}
+
+/**
+ * Days (UTC midnight, ms) of a month that match BYMONTHDAY / BYDAY
+ */
+function getRRuleMonthDays(rule, year, month, defaultDay) {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const dayOf = date => Date.UTC(year, month, date);
+
+  let dates = rule.byMonthDay.length > 0
+    ? rule.byMonthDay.map(d => (d < 0 ? daysInMonth + d + 1 : d))
+    : null;
+
+  if (rule.byDay.length > 0) {
+    const fromByDay = [];
+    for (const { ordinal, weekday } of rule.byDay) {
+      const matching = [];
+      for (let date = 1; date <= daysInMonth; date++) {
+        if (new Date(dayOf(date)).getUTCDay() === weekday) matching.push(date);
+      }
+      if (ordinal === null) fromByDay.push(...matching);
+      else if (ordinal > 0 && matching[ordinal - 1]) fromByDay.push(matching[ordinal - 1]);
+      else if (ordinal < 0 && matching[matching.length + ordinal]) fromByDay.push(matching[matching.length + ordinal]);
+    }
+    // BYMONTHDAY and BYDAY together: the days that match both
+    dates = dates ? fromByDay.filter(d => dates.includes(d)) : fromByDay;
+  }
+
+  if (!dates) dates = [defaultDay];
+
+  return [...new Set(dates)]
+    .filter(d => d >= 1 && d <= daysInMonth)
+    .sort((a, b) => a - b)
+    .map(dayOf);
+}
+
+/**
+ * Candidate days (UTC midnight, ms) of the n-th period of a rule
+ */
+function getRRulePeriodDays(rule, start, n) {
+  const startDate = new Date(start);
+  const year = startDate.getUTCFullYear();
+  const month = startDate.getUTCMonth();
+  const startDay = Date.UTC(year, month, startDate.getUTCDate());
+  const weekdays = rule.byDay.map(d => d.weekday);
+
+  if (rule.freq === 'DAILY') {
+    const day = startDay + n * rule.interval * DAY_MS;
+    const date = new Date(day);
+    if (weekdays.length > 0 && !weekdays.includes(date.getUTCDay())) return [];
+    if (rule.byMonthDay.length > 0 && !rule.byMonthDay.includes(date.getUTCDate())) return [];
+    return [day];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const weekStart = startDay - ((startDate.getUTCDay() - rule.weekStart + 7) % 7) * DAY_MS + n * rule.interval * 7 * DAY_MS;
+    const days = weekdays.length > 0 ? weekdays : [startDate.getUTCDay()];
+    return days
+      .map(weekday => weekStart + ((weekday - rule.weekStart + 7) % 7) * DAY_MS)
+      .sort((a, b) => a - b);
+  }
+
+  if (rule.freq === 'MONTHLY') {
+    const monthIndex = month + n * rule.interval;
+    return getRRuleMonthDays(rule, year + Math.floor(monthIndex / 12), ((monthIndex % 12) + 12) % 12, startDate.getUTCDate());
+  }
+
+  // YEARLY
+  const months = rule.byMonth.length > 0 ? rule.byMonth.map(m => m - 1) : [month];
+  return months
+    .sort((a, b) => a - b)
+    .flatMap(m => getRRuleMonthDays(rule, year + n * rule.interval, m, startDate.getUTCDate()));
+}
+
+/**
+ * Where a COUNT rule can start expanding: the first period and the number of
+ * occurrences in the periods before it
+ * Only DAILY and WEEKLY rules without BYMONTH/BYMONTHDAY are skipped ahead,
+ * since their periods repeat the same number of occurrences (DAILY with BYDAY
+ * every 7 periods). Other rules start at period 0.
+ */
+function getRRuleCountStart(rule, start, timeOfDay, windowStart) {
+  const fromStart = { period: 0, count: 0 };
+  if (!['DAILY', 'WEEKLY'].includes(rule.freq) || rule.byMonth.length > 0) return fromStart;
+  if (rule.freq === 'DAILY' && rule.byMonthDay.length > 0) return fromStart;
+
+  const cycle = rule.freq === 'DAILY' && rule.byDay.length > 0 ? 7 : 1;
+  const periodMs = (rule.freq === 'DAILY' ? 1 : 7) * rule.interval * DAY_MS;
+  const skipCycles = Math.max(Math.floor((windowStart - start) / (cycle * periodMs)) - 1, 0);
+  if (skipCycles === 0) return fromStart;
+
+  // Period 0 may have days before DTSTART, which do not count
+  const firstCount = getRRulePeriodDays(rule, start, 0).filter(day => day + timeOfDay >= start).length;
+  let perCycle = 0;
+  for (let n = 1; n <= cycle; n++) perCycle += getRRulePeriodDays(rule, start, n).length;
+
+  return { period: 1 + skipCycles * cycle, count: firstCount + skipCycles * perCycle };
+}
+
+/**
+ * Expand a recurring event into occurrence start times (wall time, ms)
+ * Supports FREQ DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, COUNT, UNTIL,
+ * BYDAY, BYMONTHDAY and BYMONTH. Returns the occurrences between windowStart and windowEnd.
+ */
+export function expandRRule(rule, start, windowStart, windowEnd) {
+  const timeOfDay = ((start % DAY_MS) + DAY_MS) % DAY_MS;
+  const occurrences = [];
+  let count = 0;
+
+  // Skip the periods that end before the window
+  let firstPeriod = 0;
+  if (windowStart > start && rule.count) {
+    // Occurrences in the skipped periods still count towards COUNT
+    ({ period: firstPeriod, count } = getRRuleCountStart(rule, start, timeOfDay, windowStart));
+    if (count >= rule.count) return occurrences;
+  } else if (windowStart > start) {
+    // Longest possible period, so no period inside the window is skipped
+    const unitDays = { DAILY: 1, WEEKLY: 7, MONTHLY: 31, YEARLY: 366 }[rule.freq];
+    firstPeriod = Math.max(Math.floor((windowStart - start) / (unitDays * DAY_MS * rule.interval)) - 1, 0);
+  }
+
+  for (let n = firstPeriod; n < firstPeriod + RRULE_MAX_PERIODS; n++) {
+    const days = getRRulePeriodDays(rule, start, n);
+
+    for (const day of days) {
+      const occurrence = day + timeOfDay;
+      if (occurrence < start) continue;
+      if (rule.byMonth.length > 0 && rule.freq !== 'YEARLY' && !rule.byMonth.includes(new Date(day).getUTCMonth() + 1)) continue;
+      if (rule.until && occurrence > rule.until.wallTime) return occurrences;
+      if (occurrence > windowEnd) return occurrences;
+
+      // Occurrences before the window still count towards COUNT
+      count++;
+      if (occurrence >= windowStart) occurrences.push(occurrence);
+      if (rule.count && count >= rule.count) return occurrences;
+      if (occurrences.length >= RRULE_MAX_OCCURRENCES) return occurrences;
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Turn a calendar into busy blocks between now and `days` ahead
+ * Cancelled and free (TRANSP:TRANSPARENT) events are skipped. Moved or
+ * cancelled occurrences of a recurring event (RECURRENCE-ID, EXDATE) replace
+ * or remove the original occurrence. Only times are kept, not event titles.
+ * @returns {Array<object>} { uid, starts_at, ends_at, all_day }
+ */
+export function parseBusyBlocks(text, days, now = new Date()) {
+  const events = parseICSEvents(text);
+  const windowStart = now.getTime() - DAY_MS;
+  const windowEnd = now.getTime() + days * DAY_MS;
+  const blocks = [];
+
+  // Occurrences replaced by a separate VEVENT with the same UID
+  const overridden = new Set();
+  for (const event of events) {
+    const recurrenceId = parseICSDateTime(event['RECURRENCE-ID']?.[0]);
+    if (recurrenceId) {
+      const uid = event.UID?.[0]?.value || '';
+      overridden.add(`${uid}|${wallTimeToDate(recurrenceId.wallTime, recurrenceId.timeZone).getTime()}`);
+    }
+  }
+
+  for (const event of events) {
+    const uid = event.UID?.[0]?.value || crypto.randomUUID();
+    const start = parseICSDateTime(event.DTSTART?.[0]);
+    if (!start) continue;
+    if (event.STATUS?.[0]?.value.toUpperCase() === 'CANCELLED') continue;
+    if (event.TRANSP?.[0]?.value.toUpperCase() === 'TRANSPARENT') continue;
+
+    // Length of each occurrence, from DTEND or DURATION
+    const startInstant = wallTimeToDate(start.wallTime, start.timeZone).getTime();
+    const end = parseICSDateTime(event.DTEND?.[0]);
+    let duration = end
+      ? wallTimeToDate(end.wallTime, end.timeZone).getTime() - startInstant
+      : parseICSDuration(event.DURATION?.[0]?.value);
+    if (duration === null) duration = start.allDay ? DAY_MS : 0;
+    if (duration <= 0) continue;
+
+    const excluded = new Set();
+    for (const exdate of event.EXDATE || []) {
+      for (const value of exdate.value.split(',')) {
+        const date = parseICSDateTime({ value, params: exdate.params });
+        if (date) excluded.add(wallTimeToDate(date.wallTime, date.timeZone).getTime());
+      }
+    }
+
+    const rule = event['RECURRENCE-ID'] ? null : parseRRule(event.RRULE?.[0]?.value || '');
+    if (rule?.until?.timeZone === 'UTC' && start.timeZone !== 'UTC') {
+      // UNTIL is in UTC, occurrences are in the event's local time
+      rule.until.wallTime += getTimeZoneOffset(rule.until.wallTime, start.timeZone);
+    }
+    const starts = rule
+      ? expandRRule(rule, start.wallTime, windowStart - duration - DAY_MS, windowEnd + DAY_MS)
+      : [start.wallTime];
+
+    for (const wallTime of starts) {
+      const startsAt = wallTimeToDate(wallTime, start.timeZone).getTime();
+      if (excluded.has(startsAt)) continue;
+      if (rule && overridden.has(`${uid}|${startsAt}`)) continue;
+
+      const endsAt = start.allDay
+        ? wallTimeToDate(wallTime + Math.round(duration / DAY_MS) * DAY_MS, start.timeZone).getTime()
+        : startsAt + duration;
+      if (endsAt <= windowStart || startsAt >= windowEnd) continue;
+
+      blocks.push({
+        uid,
+        starts_at: new Date(startsAt).toISOString(),
+        ends_at: new Date(endsAt).toISOString(),
+        all_day: start.allDay
+      });
+    }
+  }
+
+  return blocks;
+}
@@ -9,25 +9,54 @@
  * - Waiting list notifications
  * - Broadcast messages
  * - ICS Calendar Feed
+ * - External calendar import (busy time)
  * - Grow Payment Webhooks (NEW!)
  * 
  * Connects to: Supabase (not Base44)
- * Provider: Twilio WhatsApp API
+ * Provider: Twilio WhatsApp API (or Meta Cloud API / local mock)
  */
 
 import express from 'express';
 import cors from 'cors';
 import fetch from 'node-fetch';
+import crypto from 'crypto';
+import { appendFile } from 'fs/promises';
 import { createClient } from '@supabase/supabase-js';
-import { format, parseISO } from 'date-fns';
+import { format, parseISO, subDays } from 'date-fns';
 import { he } from 'date-fns/locale';
+import {
+  escapeICSText,
+  formatICSParam,
+  serializeICS,
+  generateAlarm,
+  parseBusyBlocks
+} from './ics.js';
+import {
+  CALENDAR_IMPORT_MAX_BYTES,
+  calendarImportError,
+  describeCalendarError,
+  normalizeCalendarUrl,
+  fetchCalendarSource
+} from './calendar-fetch.js';
+import {
+  REMINDER_DEFAULT_OFFSETS,
+  REMINDER_MAX_OFFSETS,
+  parseReminderOffset,
+  getBusinessReminderOffsets,
+  getDueReminderOffset
+} from './reminders.js';
 
 // Set timezone to Israel
 process.env.TZ = 'Asia/Jerusalem';
 
 // Initialize Express
 const app = express();
-app.use(cors());
+// Railway sits behind a proxy; trust it so req.ip is the client address
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS) || 1);
+
+// Allowed browser origins (comma separated). Without CORS_ORIGINS any origin is allowed.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+app.use(cors(CORS_ORIGINS.length > 0 ? { origin: CORS_ORIGINS } : {}));
 app.use(express.json());
 
 // ============================================================
@@ -46,6 +75,12 @@ if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
+// Public URL of this service (used for Twilio webhook signatures and callback URLs)
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+
+// Messaging provider: 'twilio' (default), 'meta' (WhatsApp Cloud API) or 'mock'
+const MESSAGING_PROVIDER = (process.env.MESSAGING_PROVIDER || 'twilio').toLowerCase();
+
 // Twilio Configuration
 const TWILIO_CONFIG = {
   accountSid: process.env.TWILIO_ACCOUNT_SID,
@@ -58,21 +93,66 @@ const TWILIO_CONFIG = {
   cancellationTemplateSid: process.env.TWILIO_CANCELLATION_TEMPLATE_SID || 'HXeddcd4ecea689861cde401d691666d7d',
   waitingListTemplateSid: process.env.TWILIO_WAITING_LIST_TEMPLATE_SID || 'HXd75dea9bfaea32988c7532ecc6969b34',
   broadcastTemplateSid: process.env.TWILIO_BROADCAST_TEMPLATE_SID || 'HXd94763214416ec4100848e81162aad92',
+  subscriptionTemplateSid: process.env.TWILIO_SUBSCRIPTION_TEMPLATE_SID, // Owner subscription notices
+  // Optional confirmation/update variants with an "add to calendar" link as {{6}}
+  confirmationCalendarTemplateSid: process.env.TWILIO_CONFIRMATION_CALENDAR_TEMPLATE_SID,
+  updateCalendarTemplateSid: process.env.TWILIO_UPDATE_CALENDAR_TEMPLATE_SID,
+  smsNumber: process.env.TWILIO_SMS_NUMBER, // Optional - enables SMS fallback
+};
+
+// Meta WhatsApp Cloud API Configuration
+const META_CONFIG = {
+  accessToken: process.env.META_WHATSAPP_TOKEN,
+  phoneNumberId: process.env.META_PHONE_NUMBER_ID,
+  apiVersion: process.env.META_API_VERSION || 'v19.0',
+  language: process.env.META_TEMPLATE_LANGUAGE || 'he',
+  templates: {
+    reminder: process.env.META_TEMPLATE_REMINDER || 'booking_reminder',
+    otp: process.env.META_TEMPLATE_OTP || 'otp_code',
+    confirmation: process.env.META_TEMPLATE_CONFIRMATION || 'booking_confirmation',
+    update: process.env.META_TEMPLATE_UPDATE || 'booking_update',
+    cancellation: process.env.META_TEMPLATE_CANCELLATION || 'booking_cancellation',
+    waiting_list: process.env.META_TEMPLATE_WAITING_LIST || 'waiting_list',
+    broadcast: process.env.META_TEMPLATE_BROADCAST || 'broadcast',
+    subscription: process.env.META_TEMPLATE_SUBSCRIPTION || 'subscription_notice',
+    // Optional variants with an "add to calendar" link as {{6}}
+    confirmation_with_calendar: process.env.META_TEMPLATE_CONFIRMATION_WITH_CALENDAR || null,
+    update_with_calendar: process.env.META_TEMPLATE_UPDATE_WITH_CALENDAR || null,
+  }
+};
+
+// Mock provider writes messages to the console and, optionally, a JSON-lines file
+const MOCK_CONFIG = {
+  file: process.env.MOCK_MESSAGES_FILE || null
 };
 
-if (!TWILIO_CONFIG.accountSid || !TWILIO_CONFIG.authToken || !TWILIO_CONFIG.whatsappNumber) {
-  console.error('❌ ERROR: Missing Twilio credentials!');
-  console.error('Please set: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_WHATSAPP_NUMBER');
+const PROVIDER_REQUIRED_ENV = {
+  twilio: ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_WHATSAPP_NUMBER'],
+  meta: ['META_WHATSAPP_TOKEN', 'META_PHONE_NUMBER_ID'],
+  mock: []
+};
+
+if (!PROVIDER_REQUIRED_ENV[MESSAGING_PROVIDER]) {
+  console.error(`❌ ERROR: Unknown MESSAGING_PROVIDER "${MESSAGING_PROVIDER}"`);
+  console.error('Please set MESSAGING_PROVIDER to one of: twilio, meta, mock');
+  process.exit(1);
+}
+
+const missingProviderEnv = PROVIDER_REQUIRED_ENV[MESSAGING_PROVIDER].filter(name => !process.env[name]);
+if (missingProviderEnv.length > 0) {
+  console.error(`❌ ERROR: Missing ${MESSAGING_PROVIDER} credentials!`);
+  console.error(`Please set: ${missingProviderEnv.join(', ')}`);
   process.exit(1);
 }
 
 // ============================================================
-// OTP STORAGE (In-Memory with expiration)
+// OTP STORAGE (Supabase, hashed codes)
 // ============================================================
 
-const otpStore = new Map();
-const verifiedPhones = new Map(); // Stores phones that have verified OTP for password reset
 const OTP_EXPIRY_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_SWEEP_INTERVAL_MINUTES = parseInt(process.env.OTP_SWEEP_INTERVAL_MINUTES) || 5;
+const OTP_HASH_SECRET = process.env.OTP_HASH_SECRET || SUPABASE_SERVICE_KEY;
 
 /**
  * Generate a 6-digit OTP
@@ -82,894 +162,4801 @@ function generateOTP() {
 }
 
 /**
- * Store OTP with expiration
+ * Hash an OTP so plain codes never reach the database
+ */
+function hashOTP(normalizedPhone, code) {
+  return crypto
+    .createHmac('sha256', OTP_HASH_SECRET)
+    .update(`${normalizedPhone}:${code}`)
+    .digest('hex');
+}
+
+/**
+ * Store OTP with expiration (replaces any previous code for this phone)
  */
-function storeOTP(phone, otp) {
+async function storeOTP(phone, otp) {
   const normalizedPhone = normalizePhoneNumber(phone);
-  otpStore.set(normalizedPhone, {
-    code: otp,
-    expiresAt: Date.now() + (OTP_EXPIRY_MINUTES * 60 * 1000),
-    attempts: 0
-  });
-  
-  // Auto-cleanup after expiry
-  setTimeout(() => {
-    otpStore.delete(normalizedPhone);
-  }, OTP_EXPIRY_MINUTES * 60 * 1000);
+  const now = new Date();
+
+  const { error } = await supabase
+    .from('otp_codes')
+    .upsert({
+      phone: normalizedPhone,
+      code_hash: hashOTP(normalizedPhone, otp),
+      attempts: 0,
+      created_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + OTP_EXPIRY_MINUTES * 60 * 1000).toISOString()
+    }, { onConflict: 'phone' });
+
+  if (error) throw error;
+}
+
+/**
+ * Delete the stored OTP for a phone
+ */
+async function deleteOTP(normalizedPhone) {
+  const { error } = await supabase
+    .from('otp_codes')
+    .delete()
+    .eq('phone', normalizedPhone);
+
+  if (error) console.error('❌ Error deleting OTP:', error);
 }
 
 /**
  * Verify OTP
- * @param {boolean} keepVerified - If true, store verification status for password reset
  */
-function verifyOTP(phone, code, keepVerified = false) {
+async function verifyOTP(phone, code) {
   const normalizedPhone = normalizePhoneNumber(phone);
-  const stored = otpStore.get(normalizedPhone);
+
+  const { data: stored, error } = await supabase
+    .from('otp_codes')
+    .select('code_hash, attempts, expires_at')
+    .eq('phone', normalizedPhone)
+    .maybeSingle();
+
+  if (error) throw error;
 
   if (!stored) {
     return { valid: false, error: 'OTP not found or expired' };
   }
 
-  if (Date.now() > stored.expiresAt) {
-    otpStore.delete(normalizedPhone);
+  if (new Date() > new Date(stored.expires_at)) {
+    await deleteOTP(normalizedPhone);
     return { valid: false, error: 'OTP expired' };
   }
 
   // Rate limiting - max 5 attempts
-  if (stored.attempts >= 5) {
-    otpStore.delete(normalizedPhone);
+  if (stored.attempts >= OTP_MAX_ATTEMPTS) {
+    await deleteOTP(normalizedPhone);
     return { valid: false, error: 'Too many attempts' };
   }
 
-  stored.attempts++;
+  // Count the attempt in the database. The update only matches the row we just
+  // read, so parallel guesses cannot get past the attempt limit.
+  const { data: counted, error: countError } = await supabase
+    .from('otp_codes')
+    .update({ attempts: stored.attempts + 1 })
+    .eq('phone', normalizedPhone)
+    .eq('attempts', stored.attempts)
+    .gt('expires_at', new Date().toISOString())
+    .select('phone');
 
-  if (stored.code !== code) {
+  if (countError) throw countError;
+
+  if (!counted || counted.length === 0) {
     return { valid: false, error: 'Invalid OTP' };
   }
 
-  // Success - remove OTP but optionally mark as verified for password reset
-  otpStore.delete(normalizedPhone);
+  const expectedHash = Buffer.from(stored.code_hash, 'hex');
+  const actualHash = Buffer.from(hashOTP(normalizedPhone, String(code)), 'hex');
 
-  if (keepVerified) {
-    // Store verification status for 10 minutes to allow password reset
-    verifiedPhones.set(normalizedPhone, {
-      verifiedAt: Date.now(),
-      expiresAt: Date.now() + (10 * 60 * 1000) // 10 minutes
-    });
+  if (expectedHash.length !== actualHash.length || !crypto.timingSafeEqual(expectedHash, actualHash)) {
+    return { valid: false, error: 'Invalid OTP' };
+  }
 
-    // Auto-cleanup
-    setTimeout(() => {
-      verifiedPhones.delete(normalizedPhone);
-    }, 10 * 60 * 1000);
+  // Success - consume the OTP. Only one request can delete the row.
+  const { data: consumed, error: consumeError } = await supabase
+    .from('otp_codes')
+    .delete()
+    .eq('phone', normalizedPhone)
+    .eq('code_hash', stored.code_hash)
+    .select('phone');
+
+  if (consumeError) throw consumeError;
+
+  if (!consumed || consumed.length === 0) {
+    return { valid: false, error: 'OTP not found or expired' };
   }
 
   return { valid: true };
 }
 
-// ============================================================
-// PHONE NUMBER UTILITIES
-// ============================================================
-
 /**
- * Normalize phone number (remove formatting, ensure consistent format)
+ * Delete expired OTP codes and password reset tokens
  */
-function normalizePhoneNumber(phone) {
-  if (!phone) return null;
-  
-  // Remove all non-digits
-  let cleaned = phone.replace(/\D/g, '');
-  
-  // If starts with 0, remove it (Israeli numbers)
-  if (cleaned.startsWith('0')) {
-    cleaned = cleaned.substring(1);
-  }
-  
-  // If doesn't start with country code, add Israel code (972)
-  if (!cleaned.startsWith('972')) {
-    cleaned = '972' + cleaned;
+async function sweepExpiredOTPs() {
+  const nowIso = new Date().toISOString();
+
+  const dayAgoIso = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+  const [codes, resetTokens, sendLog, lockouts] = await Promise.all([
+    supabase.from('otp_codes').delete().lt('expires_at', nowIso).select('phone'),
+    supabase.from('password_reset_tokens').delete().lt('expires_at', nowIso).select('jti'),
+    supabase.from('otp_send_log').delete().lt('created_at', dayAgoIso),
+    supabase.from('otp_lockouts').delete().lt('updated_at', dayAgoIso).or(`locked_until.is.null,locked_until.lt."${nowIso}"`)
+  ]);
+
+  if (codes.error) console.error('❌ Error sweeping OTP codes:', codes.error);
+  if (resetTokens.error) console.error('❌ Error sweeping reset tokens:', resetTokens.error);
+  if (sendLog.error) console.error('❌ Error sweeping OTP send log:', sendLog.error);
+  if (lockouts.error) console.error('❌ Error sweeping OTP lockouts:', lockouts.error);
+
+  const removed = (codes.data?.length || 0) + (resetTokens.data?.length || 0);
+  if (removed > 0) {
+    console.log(`🧹 Removed ${removed} expired OTP record(s)`);
   }
-  
-  return cleaned;
 }
 
 /**
- * Format phone number for WhatsApp
+ * Run the OTP sweeper periodically
  */
-function formatPhoneForWhatsApp(phone) {
-  const normalized = normalizePhoneNumber(phone);
-  return normalized ? `whatsapp:+${normalized}` : null;
+function scheduleOTPSweeper() {
+  setInterval(() => {
+    sweepExpiredOTPs().catch(error => console.error('❌ OTP sweeper error:', error));
+  }, OTP_SWEEP_INTERVAL_MINUTES * 60 * 1000);
 }
 
 // ============================================================
-// TWILIO API HELPERS
+// OTP ABUSE PROTECTION (resend cooldown, send caps, lockouts)
 // ============================================================
 
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const OTP_SEND_LIMITS = {
+  phone: {
+    hourly: parseInt(process.env.OTP_PHONE_HOURLY_LIMIT) || 5,
+    daily: parseInt(process.env.OTP_PHONE_DAILY_LIMIT) || 10
+  },
+  ip: {
+    hourly: parseInt(process.env.OTP_IP_HOURLY_LIMIT) || 20,
+    daily: parseInt(process.env.OTP_IP_DAILY_LIMIT) || 50
+  }
+};
+const OTP_LOCKOUT_THRESHOLD = parseInt(process.env.OTP_LOCKOUT_THRESHOLD) || 3;
+const OTP_LOCKOUT_MINUTES = parseInt(process.env.OTP_LOCKOUT_MINUTES) || 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
 /**
- * Send WhatsApp message via Twilio
+ * Seconds until a sliding-window limit frees up (0 if under the limit)
+ * @param {number[]} timestamps - Send times in ms, oldest first
  */
-async function sendWhatsAppMessage(to, templateSid, variables) {
-  const formattedNumber = formatPhoneForWhatsApp(to);
-  if (!formattedNumber) {
-    throw new Error('Invalid phone number');
-  }
-  
-  const url = `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_CONFIG.accountSid}/Messages.json`;
-  const auth = Buffer.from(`${TWILIO_CONFIG.accountSid}:${TWILIO_CONFIG.authToken}`).toString('base64');
-  
-  const params = new URLSearchParams();
-  params.append('To', formattedNumber);
-  params.append('From', TWILIO_CONFIG.whatsappNumber);
-  params.append('ContentSid', templateSid);
-  params.append('ContentVariables', JSON.stringify(variables));
-  
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: params
-  });
-  
-  const result = await response.json();
-  
-  if (!response.ok) {
-    console.error('❌ Twilio error:', result);
-    throw new Error(result.message || 'Failed to send WhatsApp message');
-  }
-  
-  return result;
+function getWindowRetryAfter(timestamps, limit, windowMs, now) {
+  const inWindow = timestamps.filter(t => now - t < windowMs);
+  if (inWindow.length < limit) return 0;
+
+  // The window frees up when the oldest send that keeps us at the limit ages out
+  const oldest = inWindow[inWindow.length - limit];
+  return Math.ceil((oldest + windowMs - now) / 1000);
 }
 
 /**
- * Send OTP via WhatsApp (Authentication template)
+ * Fetch OTP send times (ms, oldest first) from the last 24 hours
+ * Only sends logged before beforeId count, so concurrent requests each see
+ * the ones that came first.
+ * @param {'phone' | 'ip'} column
  */
-async function sendOTPWhatsApp(to, otp) {
-  const formattedNumber = formatPhoneForWhatsApp(to);
-  if (!formattedNumber) {
-    throw new Error('Invalid phone number');
-  }
-  
-  const url = `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_CONFIG.accountSid}/Messages.json`;
-  const auth = Buffer.from(`${TWILIO_CONFIG.accountSid}:${TWILIO_CONFIG.authToken}`).toString('base64');
-  
-  // Authentication template uses special format
-  const params = new URLSearchParams();
-  params.append('To', formattedNumber);
-  params.append('From', TWILIO_CONFIG.whatsappNumber);
-  params.append('ContentSid', TWILIO_CONFIG.otpTemplateSid);
-  params.append('ContentVariables', JSON.stringify({ "1": otp }));
-  
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: params
-  });
-  
-  const result = await response.json();
-  
-  if (!response.ok) {
-    console.error('❌ Twilio OTP error:', result);
-    throw new Error(result.message || 'Failed to send OTP');
-  }
-  
-  return result;
+async function fetchRecentOTPSends(column, value, beforeId) {
+  const { data, error } = await supabase
+    .from('otp_send_log')
+    .select('created_at')
+    .eq(column, value)
+    .lt('id', beforeId)
+    .gte('created_at', new Date(Date.now() - DAY_MS).toISOString())
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(row => new Date(row.created_at).getTime());
 }
 
-// ============================================================
-// API ENDPOINTS
-// ============================================================
-
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    version: '2.2.0',
-    timestamp: new Date().toISOString(),
-    supabase: !!SUPABASE_URL,
-    twilio: !!TWILIO_CONFIG.accountSid
-  });
-});
-
-// ============================================================
-// OTP ENDPOINTS
-// ============================================================
-
 /**
- * Send OTP
- * POST /api/otp/send
- * Body: { phone: "0541234567" }
+ * Check whether a phone is locked out after repeated failed verifications
+ * Returns a rejection object, or null if not locked
  */
-app.post('/api/otp/send', async (req, res) => {
-  console.log('📥 OTP send request:', req.body);
-  
-  const { phone } = req.body;
-  
-  if (!phone) {
-    return res.status(400).json({ error: 'Phone number is required' });
-  }
-  
-  try {
-    // Generate OTP
-    const otp = generateOTP();
-    
-    // Store OTP
-    storeOTP(phone, otp);
-    
-    // Send via WhatsApp
-    await sendOTPWhatsApp(phone, otp);
-    
-    console.log('✅ OTP sent successfully');
-    res.json({ success: true, message: 'OTP sent' });
-  } catch (error) {
-    console.error('❌ Error sending OTP:', error);
-    res.status(500).json({ error: error.message });
+async function checkOTPLockout(normalizedPhone) {
+  const { data, error } = await supabase
+    .from('otp_lockouts')
+    .select('locked_until')
+    .eq('phone', normalizedPhone)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const lockedUntil = data?.locked_until ? new Date(data.locked_until).getTime() : 0;
+  if (lockedUntil > Date.now()) {
+    return {
+      error: 'Too many failed attempts. Please try again later.',
+      code: 'OTP_LOCKED',
+      retryAfter: Math.ceil((lockedUntil - Date.now()) / 1000)
+    };
   }
-});
+
+  return null;
+}
 
 /**
- * Verify OTP
- * POST /api/otp/verify
- * Body: { phone: "0541234567", code: "123456" }
+ * Check all send limits for a phone and IP, and record the send if allowed
+ * The send is logged first and then counted against the sends logged before it,
+ * so parallel requests cannot all pass the check. A rejected send is removed again.
+ * Returns a rejection object ({ error, code, retryAfter }), or null if allowed
  */
-app.post('/api/otp/verify', async (req, res) => {
-  console.log('📥 OTP verify request:', req.body);
+async function reserveOTPSend(normalizedPhone, ip) {
+  const lockout = await checkOTPLockout(normalizedPhone);
+  if (lockout) return lockout;
+
+  const { data: reserved, error } = await supabase
+    .from('otp_send_log')
+    .insert({ phone: normalizedPhone, ip: ip || null })
+    .select('id')
+    .single();
 
-  const { phone, code, forPasswordReset } = req.body;
+  if (error) throw error;
 
-  if (!phone || !code) {
-    return res.status(400).json({ error: 'Phone and code are required' });
+  let rejection;
+  try {
+    rejection = await checkOTPSendLimits(normalizedPhone, ip, reserved.id);
+  } catch (checkError) {
+    rejection = checkError;
   }
 
-  // If this is for password reset, keep the verification status
-  const result = verifyOTP(phone, code, forPasswordReset === true);
+  if (rejection) {
+    const { error: releaseError } = await supabase
+      .from('otp_send_log')
+      .delete()
+      .eq('id', reserved.id);
 
-  if (result.valid) {
-    console.log('✅ OTP verified successfully', forPasswordReset ? '(for password reset)' : '');
-    res.json({ success: true, verified: true });
-  } else {
-    console.log('❌ OTP verification failed:', result.error);
-    res.status(400).json({ success: false, error: result.error });
+    if (releaseError) console.error('❌ Error releasing OTP send:', releaseError);
+    if (rejection instanceof Error) throw rejection;
   }
-});
 
-// ============================================================
-// PASSWORD RESET ENDPOINT
-// ============================================================
+  return rejection;
+}
 
 /**
- * Reset user password
- * POST /api/reset-password
- * Body: { email: "xxx@phone.linedup.app", newPassword: "newpass", userId: "uuid" }
- *
- * Uses Supabase Admin API to update the user's password
+ * Check the send limits against the sends logged before beforeId
+ * Returns a rejection object ({ error, code, retryAfter }), or null if allowed
  */
-app.post('/api/reset-password', async (req, res) => {
-  console.log('📥 Password reset request:', { email: req.body.email, userId: req.body.userId });
-
-  const { email, newPassword, userId } = req.body;
-
-  if (!email || !newPassword || !userId) {
-    return res.status(400).json({ error: 'Missing required fields: email, newPassword, userId' });
+async function checkOTPSendLimits(normalizedPhone, ip, beforeId) {
+  const now = Date.now();
+  const [phoneSends, ipSends] = await Promise.all([
+    fetchRecentOTPSends('phone', normalizedPhone, beforeId),
+    ip ? fetchRecentOTPSends('ip', ip, beforeId) : Promise.resolve([])
+  ]);
+
+  // Resend cooldown
+  const cooldown = getWindowRetryAfter(phoneSends, 1, OTP_RESEND_COOLDOWN_SECONDS * 1000, now);
+  if (cooldown > 0) {
+    return { error: 'Please wait before requesting a new code', code: 'OTP_COOLDOWN', retryAfter: cooldown };
   }
 
-  if (newPassword.length < 6) {
-    return res.status(400).json({ error: 'Password must be at least 6 characters' });
-  }
+  const checks = [
+    { sends: phoneSends, limit: OTP_SEND_LIMITS.phone.hourly, windowMs: HOUR_MS, code: 'OTP_PHONE_HOURLY_LIMIT' },
+    { sends: phoneSends, limit: OTP_SEND_LIMITS.phone.daily, windowMs: DAY_MS, code: 'OTP_PHONE_DAILY_LIMIT' },
+    { sends: ipSends, limit: OTP_SEND_LIMITS.ip.hourly, windowMs: HOUR_MS, code: 'OTP_IP_HOURLY_LIMIT' },
+    { sends: ipSends, limit: OTP_SEND_LIMITS.ip.daily, windowMs: DAY_MS, code: 'OTP_IP_DAILY_LIMIT' }
+  ];
 
-  // Extract phone number from email (format: 972xxx@phone.linedup.app)
-  const phoneMatch = email.match(/^(\d+)@phone\.linedup\.app$/);
-  if (!phoneMatch) {
-    return res.status(400).json({ error: 'Invalid email format' });
+  for (const check of checks) {
+    const retryAfter = getWindowRetryAfter(check.sends, check.limit, check.windowMs, now);
+    if (retryAfter > 0) {
+      return { error: 'Too many OTP requests. Please try again later.', code: check.code, retryAfter };
+    }
   }
 
-  const phoneFromEmail = phoneMatch[1];
-
-  // SECURITY: Verify that this phone number was recently verified via OTP
-  const verification = verifiedPhones.get(phoneFromEmail);
-  if (!verification) {
-    console.error('❌ Phone not verified for password reset:', phoneFromEmail);
-    return res.status(403).json({ error: 'Phone number not verified. Please verify OTP first.' });
-  }
+  return null;
+}
 
-  if (Date.now() > verification.expiresAt) {
-    verifiedPhones.delete(phoneFromEmail);
-    console.error('❌ Verification expired for phone:', phoneFromEmail);
-    return res.status(403).json({ error: 'Verification expired. Please verify OTP again.' });
-  }
+/**
+ * Count a "Too many attempts" failure and lock the phone once the threshold is reached
+ */
+async function recordOTPLockoutFailure(normalizedPhone) {
+  const { data: existing, error } = await supabase
+    .from('otp_lockouts')
+    .select('failures')
+    .eq('phone', normalizedPhone)
+    .maybeSingle();
 
-  try {
-    // Use Supabase Admin API to update the user's password
-    // Look up auth user by their profile's auth_user_id (userId)
-    const { data: { user: authUser }, error: getUserError } = await supabase.auth.admin.getUserById(userId);
+  if (error) throw error;
 
-    if (getUserError || !authUser) {
-      console.error('❌ Auth user not found for userId:', userId);
-      return res.status(404).json({ error: 'User not found' });
-    }
+  const failures = (existing?.failures || 0) + 1;
+  const shouldLock = failures >= OTP_LOCKOUT_THRESHOLD;
+  const now = new Date();
 
-    // Verify the email matches for security
-    if (authUser.email !== email) {
-      console.error('❌ Email mismatch:', authUser.email, '!==', email);
-      return res.status(403).json({ error: 'Email mismatch' });
-    }
+  const { error: upsertError } = await supabase
+    .from('otp_lockouts')
+    .upsert({
+      phone: normalizedPhone,
+      failures: shouldLock ? 0 : failures,
+      locked_until: shouldLock ? new Date(now.getTime() + OTP_LOCKOUT_MINUTES * 60 * 1000).toISOString() : null,
+      updated_at: now.toISOString()
+    }, { onConflict: 'phone' });
 
-    // Update the password using admin API
-    const { error: updateError } = await supabase.auth.admin.updateUserById(
-      authUser.id,
-      { password: newPassword }
-    );
+  if (upsertError) throw upsertError;
 
-    if (updateError) {
-      console.error('❌ Error updating password:', updateError);
-      throw updateError;
-    }
+  if (shouldLock) {
+    console.log(`🔒 Phone ${normalizedPhone} locked for ${OTP_LOCKOUT_MINUTES} minutes`);
+  }
+}
 
-    // Clear the verification after successful password reset
-    verifiedPhones.delete(phoneFromEmail);
+/**
+ * Clear lockout failures after a successful verification
+ */
+async function clearOTPLockout(normalizedPhone) {
+  const { error } = await supabase
+    .from('otp_lockouts')
+    .delete()
+    .eq('phone', normalizedPhone);
 
-    console.log('✅ Password reset successful for user:', authUser.id);
-    res.json({ success: true, message: 'Password updated successfully' });
+  if (error) console.error('❌ Error clearing OTP lockout:', error);
+}
 
-  } catch (error) {
-    console.error('❌ Password reset error:', error);
-    res.status(500).json({ error: error.message || 'Failed to reset password' });
-  }
-});
+/**
+ * Send a structured rate limit rejection
+ */
+function sendRateLimited(res, rejection) {
+  res.set('Retry-After', String(rejection.retryAfter));
+  res.status(429).json({
+    success: false,
+    error: rejection.error,
+    code: rejection.code,
+    retryAfter: rejection.retryAfter
+  });
+}
 
 // ============================================================
-// BOOKING NOTIFICATION ENDPOINTS
+// PASSWORD RESET TOKENS (signed, single-use)
 // ============================================================
 
+const RESET_TOKEN_EXPIRY_MINUTES = 10;
+const RESET_TOKEN_SECRET = process.env.RESET_TOKEN_SECRET || SUPABASE_SERVICE_KEY;
+const PHONE_EMAIL_DOMAIN = 'phone.linedup.app';
+
 /**
- * Send booking confirmation
- * POST /api/send-confirmation
+ * Synthetic auth email for a phone user (972xxx@phone.linedup.app)
  */
-app.post('/api/send-confirmation', async (req, res) => {
-  console.log('📥 Confirmation request:', req.body);
-  
-  const { phone, clientName, businessName, date, time, serviceName } = req.body;
-  
-  if (!phone || !clientName || !businessName || !date || !time) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
-  
-  try {
-    // Format the date nicely
-    let formattedDate;
-    try {
-      formattedDate = format(parseISO(date), 'd.M.yyyy');
-    } catch (e) {
-      formattedDate = date;
-    }
-    
-    // Format time as HH:MM
-    const formattedTime = time.substring(0, 5);
-    
-    const result = await sendWhatsAppMessage(
-      phone,
-      TWILIO_CONFIG.confirmationTemplateSid,
-      {
-        "1": String(clientName),
-        "2": String(businessName),
-        "3": String(formattedDate),
-        "4": String(formattedTime),
-        "5": String(serviceName || 'תור')
-      }
-    );
-    
-    console.log('✅ Confirmation sent');
-    res.json({ success: true, messageSid: result.sid });
-  } catch (error) {
-    console.error('❌ Error sending confirmation:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+function phoneToAuthEmail(normalizedPhone) {
+  return `${normalizedPhone}@${PHONE_EMAIL_DOMAIN}`;
+}
 
 /**
- * Send booking cancellation notification
- * POST /api/send-cancellation
+ * Sign a token payload (base64url JSON + HMAC-SHA256)
  */
-app.post('/api/send-cancellation', async (req, res) => {
-  console.log('📥 Cancellation request:', req.body);
+function signToken(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
 
-  const { phone, clientName, serviceName, date } = req.body;
+/**
+ * Verify a signed token and return its payload, or null if the signature is invalid
+ */
+function verifySignedToken(token, secret) {
+  if (typeof token !== 'string') return null;
 
-  if (!phone) {
-    return res.status(400).json({ error: 'Missing phone number' });
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(body).digest('base64url'));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
   }
 
   try {
-    let formattedDate = '';
+    return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+}
 
-    if (date) {
-      try {
-        formattedDate = format(parseISO(date), 'd.M.yyyy');
+/**
+ * Issue a reset token for a verified phone and its auth user
+ */
+async function issueResetToken(normalizedPhone, userId) {
+  const jti = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + RESET_TOKEN_EXPIRY_MINUTES * 60 * 1000);
+
+  const { error } = await supabase
+    .from('password_reset_tokens')
+    .insert({
+      jti,
+      phone: normalizedPhone,
+      user_id: userId,
+      expires_at: expiresAt.toISOString()
+    });
+
+  if (error) throw error;
+
+  const token = signToken({ jti, phone: normalizedPhone, uid: userId, exp: expiresAt.getTime() }, RESET_TOKEN_SECRET);
+  return { token, expiresAt };
+}
+
+/**
+ * Mark a reset token as used. Returns false if it was already used or has expired.
+ */
+async function consumeResetToken(jti) {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('password_reset_tokens')
+    .update({ used_at: now })
+    .eq('jti', jti)
+    .is('used_at', null)
+    .gt('expires_at', now)
+    .select('jti');
+
+  if (error) throw error;
+  return !!data && data.length > 0;
+}
+
+/**
+ * Make a consumed reset token usable again, after the password update failed
+ */
+async function releaseResetToken(jti) {
+  const { error } = await supabase
+    .from('password_reset_tokens')
+    .update({ used_at: null })
+    .eq('jti', jti);
+
+  if (error) console.error('❌ Error releasing reset token:', error);
+}
+
+// ============================================================
+// PASSWORDLESS LOGIN (WhatsApp code → Supabase session)
+// ============================================================
+
+/**
+ * Whether a createUser error only means the user already exists
+ */
+function isUserExistsError(error) {
+  return error.code === 'email_exists' || /already (been )?registered/i.test(error.message || '');
+}
+
+/**
+ * Find or create the auth user for a phone and open a session for it
+ * Falls back to returning the magic link token hash if the session exchange fails
+ */
+async function createPhoneLoginSession(normalizedPhone) {
+  const email = phoneToAuthEmail(normalizedPhone);
+
+  // Create the user on first login
+  const { error: createError } = await supabase.auth.admin.createUser({
+    email,
+    email_confirm: true,
+    user_metadata: { phone: normalizedPhone }
+  });
+
+  if (createError && !isUserExistsError(createError)) throw createError;
+  const isNewUser = !createError;
+
+  const { data: link, error: linkError } = await supabase.auth.admin.generateLink({
+    type: 'magiclink',
+    email
+  });
+
+  if (linkError) throw linkError;
+
+  const tokenHash = link.properties.hashed_token;
+
+  // Exchange the token on a throwaway client so the shared service client
+  // never ends up holding a user session
+  const authClient = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+
+  const { data: verified, error: verifyError } = await authClient.auth.verifyOtp({
+    token_hash: tokenHash,
+    type: 'magiclink'
+  });
+
+  if (verifyError || !verified?.session) {
+    console.error('⚠️ Session exchange failed, returning magic link token:', verifyError);
+    return { user: link.user, session: null, tokenHash, isNewUser };
+  }
+
+  return { user: verified.user, session: verified.session, tokenHash: null, isNewUser };
+}
+
+// ============================================================
+// PHONE NUMBER UTILITIES
+// ============================================================
+
+/**
+ * Normalize phone number (remove formatting, ensure consistent format)
+ */
+function normalizePhoneNumber(phone) {
+  if (!phone) return null;
+  
+  // Remove all non-digits
+  let cleaned = phone.replace(/\D/g, '');
+  
+  // If starts with 0, remove it (Israeli numbers)
+  if (cleaned.startsWith('0')) {
+    cleaned = cleaned.substring(1);
+  }
+  
+  // If doesn't start with country code, add Israel code (972)
+  if (!cleaned.startsWith('972')) {
+    cleaned = '972' + cleaned;
+  }
+  
+  return cleaned;
+}
+
+/**
+ * All formats a phone number may be stored in (0541234567, 972541234567, +972541234567)
+ */
+function getPhoneVariants(phone) {
+  const normalized = normalizePhoneNumber(phone);
+  if (!normalized) return [];
+
+  const local = '0' + normalized.replace(/^972/, '');
+  return [...new Set([phone, normalized, `+${normalized}`, local])];
+}
+
+/**
+ * Format phone number for WhatsApp
+ */
+function formatPhoneForWhatsApp(phone) {
+  const normalized = normalizePhoneNumber(phone);
+  return normalized ? `whatsapp:+${normalized}` : null;
+}
+
+// ============================================================
+// MESSAGING PROVIDERS
+// ============================================================
+
+/*
+ * Every provider has the same shape:
+ *   name
+ *   templateId(template)                      → provider's id for a logical template
+ *   sendTemplate({ to, template, variables }) → { sid, status }
+ *   sendSMS({ to, body })                     → { sid, status }  (optional)
+ *
+ * `template` is a logical name (reminder, otp, confirmation, update,
+ * cancellation, waiting_list, broadcast, subscription, confirmation_with_calendar,
+ * update_with_calendar) and `variables` is the positional
+ * { "1": ..., "2": ... } map used by the templates. `to` is a normalized
+ * phone number (972xxx). Failed sends throw an Error with `status` (HTTP
+ * status) and `code` (provider error code) set.
+ */
+
+/**
+ * Build a send error carrying the provider's HTTP status and error code
+ */
+function createProviderError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Twilio WhatsApp provider (Content API templates)
+ */
+function createTwilioProvider() {
+  const templates = {
+    reminder: TWILIO_CONFIG.templateSid,
+    otp: TWILIO_CONFIG.otpTemplateSid,
+    confirmation: TWILIO_CONFIG.confirmationTemplateSid,
+    update: TWILIO_CONFIG.updateTemplateSid,
+    cancellation: TWILIO_CONFIG.cancellationTemplateSid,
+    waiting_list: TWILIO_CONFIG.waitingListTemplateSid,
+    broadcast: TWILIO_CONFIG.broadcastTemplateSid,
+    subscription: TWILIO_CONFIG.subscriptionTemplateSid,
+    confirmation_with_calendar: TWILIO_CONFIG.confirmationCalendarTemplateSid,
+    update_with_calendar: TWILIO_CONFIG.updateCalendarTemplateSid,
+  };
+
+  // Delivery status callbacks are only requested when the public URL is known
+  const statusCallbackUrl = PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}/api/webhooks/twilio/status` : null;
+
+  return {
+    name: 'twilio',
+
+    templateId(template) {
+      return templates[template] || null;
+    },
+
+    async sendTemplate({ to, template, variables }) {
+      const url = `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_CONFIG.accountSid}/Messages.json`;
+      const auth = Buffer.from(`${TWILIO_CONFIG.accountSid}:${TWILIO_CONFIG.authToken}`).toString('base64');
+
+      const params = new URLSearchParams();
+      params.append('To', formatPhoneForWhatsApp(to));
+      params.append('From', TWILIO_CONFIG.whatsappNumber);
+      params.append('ContentSid', templates[template]);
+      params.append('ContentVariables', JSON.stringify(variables));
+      if (statusCallbackUrl) {
+        params.append('StatusCallback', statusCallbackUrl);
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Basic ${auth}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: params
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        console.error('❌ Twilio error:', result);
+        throw createProviderError(result.message || 'Failed to send WhatsApp message', response.status, result.code);
+      }
+
+      return { sid: result.sid, status: result.status };
+    },
+
+    // Plain SMS needs a Twilio SMS-capable number
+    sendSMS: TWILIO_CONFIG.smsNumber ? async ({ to, body }) => {
+      const url = `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_CONFIG.accountSid}/Messages.json`;
+      const auth = Buffer.from(`${TWILIO_CONFIG.accountSid}:${TWILIO_CONFIG.authToken}`).toString('base64');
+
+      const params = new URLSearchParams();
+      params.append('To', `+${to}`);
+      params.append('From', TWILIO_CONFIG.smsNumber);
+      params.append('Body', body);
+      if (statusCallbackUrl) {
+        params.append('StatusCallback', statusCallbackUrl);
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Basic ${auth}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: params
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        console.error('❌ Twilio SMS error:', result);
+        throw createProviderError(result.message || 'Failed to send SMS', response.status, result.code);
+      }
+
+      return { sid: result.sid, status: result.status };
+    } : null
+  };
+}
+
+/**
+ * Meta WhatsApp Cloud API provider
+ */
+function createMetaProvider() {
+  return {
+    name: 'meta',
+
+    templateId(template) {
+      return META_CONFIG.templates[template] || null;
+    },
+
+    async sendTemplate({ to, template, variables }) {
+      const url = `https://graph.facebook.com/${META_CONFIG.apiVersion}/${META_CONFIG.phoneNumberId}/messages`;
+
+      // Positional variables become body parameters in order
+      const parameters = Object.keys(variables)
+        .sort((a, b) => Number(a) - Number(b))
+        .map(key => ({ type: 'text', text: String(variables[key]) }));
+
+      const components = [{ type: 'body', parameters }];
+
+      // Authentication templates also need the code on their copy-code button
+      if (template === 'otp') {
+        components.push({
+          type: 'button',
+          sub_type: 'url',
+          index: '0',
+          parameters: [{ type: 'text', text: String(variables['1']) }]
+        });
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${META_CONFIG.accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          messaging_product: 'whatsapp',
+          to,
+          type: 'template',
+          template: {
+            name: META_CONFIG.templates[template],
+            language: { code: META_CONFIG.language },
+            components
+          }
+        })
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        console.error('❌ Meta error:', result);
+        throw createProviderError(result.error?.message || 'Failed to send WhatsApp message', response.status, result.error?.code);
+      }
+
+      return { sid: result.messages?.[0]?.id, status: 'accepted' };
+    },
+
+    // The Cloud API has no SMS channel
+    sendSMS: null
+  };
+}
+
+/**
+ * Local mock provider - logs messages instead of sending them
+ */
+function createMockProvider() {
+  return {
+    name: 'mock',
+
+    templateId(template) {
+      return `mock-${template}`;
+    },
+
+    async sendTemplate({ to, template, variables }) {
+      const sid = `MOCK${crypto.randomBytes(12).toString('hex')}`;
+      const entry = { sid, to, template, variables, sentAt: new Date().toISOString() };
+
+      console.log('🧪 [mock] WhatsApp message:', JSON.stringify(entry));
+
+      if (MOCK_CONFIG.file) {
+        await appendFile(MOCK_CONFIG.file, JSON.stringify(entry) + '\n');
+      }
+
+      return { sid, status: 'sent' };
+    },
+
+    async sendSMS({ to, body }) {
+      const sid = `MOCKSMS${crypto.randomBytes(10).toString('hex')}`;
+      const entry = { sid, to, channel: 'sms', body, sentAt: new Date().toISOString() };
+
+      console.log('🧪 [mock] SMS message:', JSON.stringify(entry));
+
+      if (MOCK_CONFIG.file) {
+        await appendFile(MOCK_CONFIG.file, JSON.stringify(entry) + '\n');
+      }
+
+      return { sid, status: 'sent' };
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  twilio: createTwilioProvider,
+  meta: createMetaProvider,
+  mock: createMockProvider
+};
+
+const messagingProvider = PROVIDER_FACTORIES[MESSAGING_PROVIDER]();
+
+// Templates whose variables must not be stored in the message log
+const SENSITIVE_TEMPLATES = ['otp'];
+
+/**
+ * Send a WhatsApp template message through the configured provider
+ * Falls back to SMS when the send fails and the business has SMS fallback enabled.
+ * Marketing templates to suppressed numbers throw with code RECIPIENT_SUPPRESSED.
+ * @param {string} template - Logical template name (see MESSAGING PROVIDERS)
+ * @param {object} context - Optional { businessId, bookingId } for the message log
+ */
+async function sendWhatsAppMessage(to, template, variables, context = {}) {
+  const normalizedPhone = normalizePhoneNumber(to);
+  if (!normalizedPhone) {
+    throw new Error('Invalid phone number');
+  }
+
+  // Marketing messages are never sent to numbers that opted out
+  if (MARKETING_TEMPLATES.includes(template) && await isSuppressed(normalizedPhone, context.businessId)) {
+    const error = new Error('Recipient has opted out');
+    error.code = 'RECIPIENT_SUPPRESSED';
+    throw error;
+  }
+
+  const logEntry = {
+    ...context,
+    to: normalizedPhone,
+    template,
+    templateSid: messagingProvider.templateId(template),
+    variables: SENSITIVE_TEMPLATES.includes(template) ? null : variables
+  };
+
+  let result;
+  try {
+    result = await messagingProvider.sendTemplate({ to: normalizedPhone, template, variables });
+  } catch (error) {
+    const messageId = await recordOutboundMessage({ ...logEntry, status: 'failed', errorCode: error.code, errorMessage: error.message });
+
+    const fallback = await sendSMSFallback({
+      id: messageId,
+      business_id: context.businessId,
+      booking_id: context.bookingId,
+      template,
+      variables,
+      recipient: normalizedPhone
+    });
+
+    if (fallback) return fallback;
+    throw error;
+  }
+
+  await recordOutboundMessage({ ...logEntry, sid: result.sid, status: result.status });
+  return { ...result, channel: 'whatsapp' };
+}
+
+/**
+ * Send OTP via WhatsApp (Authentication template)
+ */
+async function sendOTPWhatsApp(to, otp) {
+  return sendWhatsAppMessage(to, 'otp', { "1": otp });
+}
+
+// ============================================================
+// TWILIO WEBHOOK HELPERS
+// ============================================================
+
+/**
+ * Validate the X-Twilio-Signature header of a webhook request
+ * https://www.twilio.com/docs/usage/security#validating-requests
+ */
+function isValidTwilioSignature(req) {
+  const signature = req.get('X-Twilio-Signature');
+  if (!signature || !TWILIO_CONFIG.authToken) return false;
+
+  const baseUrl = PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  const url = baseUrl + req.originalUrl;
+
+  const data = Object.keys(req.body || {})
+    .sort()
+    .reduce((acc, key) => acc + key + req.body[key], url);
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha1', TWILIO_CONFIG.authToken).update(Buffer.from(data, 'utf-8')).digest('base64')
+  );
+  const actual = Buffer.from(signature);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Build a TwiML response with an optional reply message
+ */
+function buildTwiML(message) {
+  if (!message) {
+    return '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+  }
+
+  const escaped = String(message)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+  return `<?xml version="1.0" encoding="UTF-8"?><Response><Message>${escaped}</Message></Response>`;
+}
+
+// ============================================================
+// MESSAGE LOG
+// ============================================================
+
+// Delivery statuses in the order Twilio reports them. Callbacks can arrive
+// out of order, so a status never replaces a later one.
+const MESSAGE_STATUS_RANK = {
+  accepted: 0,
+  scheduled: 0,
+  queued: 1,
+  sending: 2,
+  sent: 3,
+  delivered: 4,
+  read: 5,
+  undelivered: 6,
+  failed: 6,
+  canceled: 6
+};
+
+/**
+ * Record an outbound message in the messages table
+ * Logging must never fail a send, so errors are only reported
+ * @returns {number|null} The new message id
+ */
+async function recordOutboundMessage({ businessId, bookingId, template, templateSid, variables, channel, fallbackForMessageId, to, sid, status, errorCode, errorMessage }) {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('messages')
+    .insert({
+      business_id: businessId || null,
+      booking_id: bookingId || null,
+      channel: channel || 'whatsapp',
+      template: template || null,
+      template_sid: templateSid || null,
+      variables: variables || null,
+      fallback_for_message_id: fallbackForMessageId || null,
+      recipient: normalizePhoneNumber(to),
+      provider: messagingProvider.name,
+      provider_sid: sid || null,
+      status: status || 'queued',
+      error_code: errorCode ? String(errorCode) : null,
+      error_message: errorMessage || null,
+      created_at: now,
+      status_updated_at: now
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error('❌ Error recording message:', error);
+    return null;
+  }
+
+  return data.id;
+}
+
+/**
+ * Apply a delivery status update to a logged message
+ * @returns {object|null} The message as it was before the update, or null if unknown
+ */
+async function updateMessageStatus(sid, status, errorCode, errorMessage) {
+  const { data: message, error } = await supabase
+    .from('messages')
+    .select('id, status, channel, business_id, booking_id, template, variables, recipient')
+    .eq('provider_sid', sid)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!message) return null;
+
+  const currentRank = MESSAGE_STATUS_RANK[message.status] ?? -1;
+  const newRank = MESSAGE_STATUS_RANK[status] ?? -1;
+  if (newRank < currentRank) {
+    return message;
+  }
+
+  const now = new Date().toISOString();
+  const update = { status, status_updated_at: now };
+  if (status === 'sent') update.sent_at = now;
+  if (status === 'delivered') update.delivered_at = now;
+  if (status === 'read') update.read_at = now;
+  if (errorCode) update.error_code = String(errorCode);
+  if (errorMessage) update.error_message = errorMessage;
+
+  const { error: updateError } = await supabase
+    .from('messages')
+    .update(update)
+    .eq('id', message.id);
+
+  if (updateError) throw updateError;
+  return message;
+}
+
+// ============================================================
+// SMS FALLBACK
+// ============================================================
+
+// Plain-text versions of the WhatsApp templates, built from the same variables
+const SMS_TEMPLATES = {
+  reminder: v => `שלום ${v['1']}, תזכורת לתור שלך ב${v['2']} ב-${v['3']} בשעה ${v['4']}.`,
+  confirmation: v => `שלום ${v['1']}, התור שלך (${v['5']}) ב${v['2']} נקבע ל-${v['3']} בשעה ${v['4']}.${calendarLinkSMS(v)}`,
+  update: v => `שלום ${v['1']}, התור שלך ב${v['2']} ${v['3']}.${v['4'] ? ` ${v['4']}` : ''}${v['5'] ? ` ${v['5']}` : ''}${calendarLinkSMS(v)}`,
+  cancellation: v => `שלום ${v['1']}, ${v['2']}${v['3'] ? ` בתאריך ${v['3']}` : ''} בוטל.`,
+  waiting_list: v => `שלום ${v['1']}, התפנה מקום ל${v['3']} בתאריך ${v['2']}. היכנסו לאפליקציה כדי לקבוע תור.`,
+  broadcast: v => `${v['1']}, ${v['2']}`,
+  subscription: v => `${v['1']}, ${v['2']}`,
+};
+SMS_TEMPLATES.confirmation_with_calendar = SMS_TEMPLATES.confirmation;
+SMS_TEMPLATES.update_with_calendar = SMS_TEMPLATES.update;
+
+/**
+ * "Add to calendar" line of an SMS, when the variables carry the link ({{6}})
+ */
+function calendarLinkSMS(variables) {
+  return variables['6'] ? `\nלהוספה ליומן: ${variables['6']}` : '';
+}
+
+// WhatsApp statuses that trigger the fallback from a delivery callback
+const FALLBACK_STATUSES = ['undelivered', 'failed'];
+
+/**
+ * Check whether a business has SMS fallback enabled and its plan includes it
+ */
+async function isSmsFallbackEnabled(businessId) {
+  const { data, error } = await supabase
+    .from('businesses')
+    .select('sms_fallback_enabled')
+    .eq('id', businessId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error checking SMS fallback setting:', error);
+    return false;
+  }
+
+  if (data?.sms_fallback_enabled !== true) return false;
+
+  try {
+    const check = await checkEntitlement(businessId, { feature: 'smsFallback' });
+    return check.allowed;
+  } catch (entitlementError) {
+    console.error('❌ Error checking SMS fallback entitlement:', entitlementError);
+    return false;
+  }
+}
+
+/**
+ * Re-send a failed WhatsApp message as plain SMS
+ * @param {object} original - The failed message row (id, business_id, booking_id, template, variables, recipient)
+ * @returns {object|null} The SMS send result, or null if no fallback was sent
+ */
+async function sendSMSFallback(original) {
+  if (!original.business_id || !messagingProvider.sendSMS || !SMS_TEMPLATES[original.template] || !original.variables) {
+    return null;
+  }
+
+  if (!(await isSmsFallbackEnabled(original.business_id))) {
+    return null;
+  }
+
+  // Claim the fallback so a failed send and its callbacks only produce one SMS
+  if (original.id) {
+    const { data: claimed, error } = await supabase
+      .from('messages')
+      .update({ sms_fallback_at: new Date().toISOString() })
+      .eq('id', original.id)
+      .is('sms_fallback_at', null)
+      .select('id');
+
+    if (error) {
+      console.error('❌ Error claiming SMS fallback:', error);
+      return null;
+    }
+    if (!claimed || claimed.length === 0) return null;
+  }
+
+  const body = SMS_TEMPLATES[original.template](original.variables);
+  const logEntry = {
+    businessId: original.business_id,
+    bookingId: original.booking_id,
+    template: original.template,
+    variables: original.variables,
+    channel: 'sms',
+    fallbackForMessageId: original.id,
+    to: original.recipient
+  };
+
+  try {
+    const result = await messagingProvider.sendSMS({ to: original.recipient, body });
+    await recordOutboundMessage({ ...logEntry, sid: result.sid, status: result.status });
+    console.log(`📩 SMS fallback sent to ${original.recipient} (${original.template})`);
+    return { ...result, channel: 'sms', fallback: true };
+  } catch (error) {
+    console.error('❌ SMS fallback failed:', error.message);
+    await recordOutboundMessage({ ...logEntry, status: 'failed', errorCode: error.code, errorMessage: error.message });
+    return null;
+  }
+}
+
+// ============================================================
+// OUTBOUND MESSAGE QUEUE (retries, dead letters, idempotency)
+// ============================================================
+
+const QUEUE_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 6;
+const QUEUE_BASE_DELAY_SECONDS = parseInt(process.env.QUEUE_BASE_DELAY_SECONDS) || 30;
+const QUEUE_MAX_DELAY_SECONDS = 60 * 60;
+const QUEUE_POLL_SECONDS = parseInt(process.env.QUEUE_POLL_SECONDS) || 15;
+const QUEUE_BATCH_SIZE = 20;
+const QUEUE_LOCK_TIMEOUT_MINUTES = 5;
+
+let queueWorkerRunning = false;
+
+/**
+ * Whether a failed send is worth retrying (rate limits, provider outages, network errors)
+ */
+function isRetryableSendError(error) {
+  if (error.status === 429 || error.status >= 500) return true;
+  return error.name === 'FetchError' || error.name === 'AbortError';
+}
+
+/**
+ * Exponential backoff with up to 20% jitter
+ */
+function getRetryDelayMs(attempts) {
+  const delaySeconds = Math.min(QUEUE_BASE_DELAY_SECONDS * 2 ** (attempts - 1), QUEUE_MAX_DELAY_SECONDS);
+  return Math.round(delaySeconds * 1000 * (1 + Math.random() * 0.2));
+}
+
+/**
+ * Add a message to the queue
+ * With an idempotency key, a repeated call returns the existing entry instead of queueing again.
+ * @returns {{ message: object, duplicate: boolean }}
+ */
+async function enqueueMessage({ to, template, variables, context = {}, idempotencyKey }) {
+  // Keys are scoped per business so two businesses cannot collide
+  const scopedKey = idempotencyKey ? `${context.businessId || 'global'}:${idempotencyKey}` : null;
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('message_queue')
+    .insert({
+      idempotency_key: scopedKey,
+      business_id: context.businessId || null,
+      booking_id: context.bookingId || null,
+      recipient: to,
+      template,
+      variables,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+      created_at: now,
+      updated_at: now
+    })
+    .select()
+    .single();
+
+  if (!error) {
+    return { message: data, duplicate: false };
+  }
+
+  // Unique violation on idempotency_key - this message was already queued
+  if (error.code === '23505' && scopedKey) {
+    const { data: existing, error: existingError } = await supabase
+      .from('message_queue')
+      .select()
+      .eq('idempotency_key', scopedKey)
+      .single();
+
+    if (existingError) throw existingError;
+    return { message: existing, duplicate: true };
+  }
+
+  throw error;
+}
+
+/**
+ * Lock a pending queue entry for sending
+ * @returns {object|null} The claimed entry, or null if another worker got it first
+ */
+async function claimQueuedMessage(id) {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('message_queue')
+    .update({ status: 'processing', locked_at: now, updated_at: now })
+    .eq('id', id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Send a claimed queue entry and record the outcome
+ * Retryable failures are rescheduled with backoff; the rest go to the dead-letter state.
+ */
+async function deliverQueuedMessage(entry) {
+  const attempts = entry.attempts + 1;
+  let update;
+
+  try {
+    const result = await sendWhatsAppMessage(entry.recipient, entry.template, entry.variables, {
+      businessId: entry.business_id,
+      bookingId: entry.booking_id
+    });
+
+    update = { status: 'sent', attempts, message_sid: result.sid, channel: result.channel, last_error: null };
+  } catch (error) {
+    if (isRetryableSendError(error) && attempts < QUEUE_MAX_ATTEMPTS) {
+      const nextAttemptAt = new Date(Date.now() + getRetryDelayMs(attempts));
+      console.log(`🔁 Queue ${entry.id}: attempt ${attempts} failed (${error.message}), retrying at ${nextAttemptAt.toISOString()}`);
+      update = { status: 'pending', attempts, next_attempt_at: nextAttemptAt.toISOString(), last_error: error.message };
+    } else {
+      console.error(`💀 Queue ${entry.id}: giving up after ${attempts} attempt(s): ${error.message}`);
+      update = { status: 'dead', attempts, last_error: error.message };
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('message_queue')
+    .update({ ...update, locked_at: null, updated_at: new Date().toISOString() })
+    .eq('id', entry.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Queue a message and try to send it right away
+ * @returns {{ message: object, duplicate: boolean }} The queue entry after the first attempt
+ */
+async function enqueueAndSend(options) {
+  const queued = await enqueueMessage(options);
+  if (queued.duplicate) return queued;
+
+  const claimed = await claimQueuedMessage(queued.message.id);
+  if (!claimed) return queued;
+
+  return { message: await deliverQueuedMessage(claimed), duplicate: false };
+}
+
+/**
+ * Send pending messages that are due, and release entries stuck in processing
+ */
+async function processMessageQueue() {
+  if (queueWorkerRunning) return;
+  queueWorkerRunning = true;
+
+  try {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - QUEUE_LOCK_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+
+    // A worker that crashed mid-send leaves its entry in processing
+    const { error: releaseError } = await supabase
+      .from('message_queue')
+      .update({ status: 'pending', locked_at: null, updated_at: now.toISOString() })
+      .eq('status', 'processing')
+      .lt('locked_at', staleBefore);
+
+    if (releaseError) console.error('❌ Error releasing stale queue entries:', releaseError);
+
+    const { data: due, error } = await supabase
+      .from('message_queue')
+      .select('id')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', now.toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(QUEUE_BATCH_SIZE);
+
+    if (error) throw error;
+
+    for (const { id } of due || []) {
+      const claimed = await claimQueuedMessage(id);
+      if (claimed) {
+        await deliverQueuedMessage(claimed);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Message queue error:', error);
+  } finally {
+    queueWorkerRunning = false;
+  }
+}
+
+/**
+ * Poll the message queue periodically
+ */
+function scheduleMessageQueue() {
+  setInterval(processMessageQueue, QUEUE_POLL_SECONDS * 1000);
+}
+
+/**
+ * Respond to a send request from its queue entry
+ * sent → 200, still retrying → 202, dead → 500
+ * @param {object} extra - Optional fields added to successful responses
+ */
+function sendQueuedResponse(res, { message, duplicate }, extra = {}) {
+  if (message.status === 'sent') {
+    return res.json({
+      success: true,
+      messageSid: message.message_sid,
+      channel: message.channel,
+      queueId: message.id,
+      duplicate,
+      ...extra
+    });
+  }
+
+  if (message.status === 'dead') {
+    return res.status(500).json({ error: message.last_error || 'Failed to send message', queueId: message.id, duplicate });
+  }
+
+  res.status(202).json({
+    success: true,
+    queued: true,
+    queueId: message.id,
+    nextAttemptAt: message.next_attempt_at,
+    duplicate,
+    ...extra
+  });
+}
+
+// ============================================================
+// AUTHENTICATION (business owner JWT or business API key)
+// ============================================================
+
+const API_KEY_PREFIX = 'lu_';
+
+// Service key for platform-wide operations (X-Admin-Key). Without it the admin endpoints are off.
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+/**
+ * Hash an API key for storage and lookup
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Whether the authenticated caller may act for a business
+ */
+function canAccessBusiness(req, businessId) {
+  return !!businessId && req.auth.businessIds.includes(businessId);
+}
+
+/**
+ * Resolve the caller from an API key
+ * @returns {object|null} { method, businessIds, keyId } or null if the key is unknown or revoked
+ */
+async function authenticateApiKey(apiKey) {
+  const { data, error } = await supabase
+    .from('business_api_keys')
+    .select('id, business_id')
+    .eq('key_hash', hashApiKey(apiKey))
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  // Usage tracking only - never block the request on it
+  supabase
+    .from('business_api_keys')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', data.id)
+    .then(({ error: touchError }) => {
+      if (touchError) console.error('❌ Error updating API key usage:', touchError);
+    });
+
+  return { method: 'api_key', keyId: data.id, userId: null, businessIds: [data.business_id] };
+}
+
+/**
+ * Resolve the caller from a Supabase user JWT
+ * @returns {object|null} { method, userId, businessIds } or null if the token is invalid
+ */
+async function authenticateUserToken(jwt) {
+  const { data, error } = await supabase.auth.getUser(jwt);
+  if (error || !data?.user) return null;
+
+  const { data: businesses, error: businessError } = await supabase
+    .from('businesses')
+    .select('id')
+    .eq('owner_id', data.user.id);
+
+  if (businessError) throw businessError;
+
+  return { method: 'jwt', keyId: null, userId: data.user.id, businessIds: (businesses || []).map(b => b.id) };
+}
+
+/**
+ * Require a business owner JWT (Authorization: Bearer ...) or a business API key (X-API-Key)
+ *
+ * Sets req.auth and req.businessId. The business is taken from :businessId,
+ * body.businessId or query.businessId, and defaults to the caller's only business.
+ * @param {object} options - { allowApiKey: false } to accept owner JWTs only;
+ *   { fromResource: true } when the route's id already names the business: only
+ *   req.auth is set, and the handler checks the loaded row with canAccessBusiness
+ */
+function requireBusinessAuth({ allowApiKey = true, fromResource = false } = {}) {
+  return async (req, res, next) => {
+    const apiKey = req.get('X-API-Key');
+    const authHeader = req.get('Authorization') || '';
+    const jwt = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+
+    try {
+      let auth = null;
+
+      if (apiKey && allowApiKey) {
+        auth = await authenticateApiKey(apiKey);
+      } else if (jwt) {
+        auth = await authenticateUserToken(jwt);
+      }
+
+      if (!auth) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+
+      if (fromResource) {
+        req.auth = auth;
+        return next();
+      }
+
+      const requestedBusinessId = req.params.businessId || req.body?.businessId || req.query.businessId;
+      let businessId = requestedBusinessId;
+
+      if (!businessId) {
+        if (auth.businessIds.length !== 1) {
+          return res.status(400).json({ error: 'Missing businessId' });
+        }
+        businessId = auth.businessIds[0];
+      }
+
+      req.auth = auth;
+      if (!canAccessBusiness(req, businessId)) {
+        console.error(`❌ ${auth.method} caller not allowed for business ${businessId}`);
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+
+      req.businessId = businessId;
+      next();
+    } catch (error) {
+      console.error('❌ Authentication error:', error);
+      res.status(500).json({ error: 'Authentication failed' });
+    }
+  };
+}
+
+/**
+ * Require the service admin key (X-Admin-Key) for platform-wide endpoints
+ */
+function requireAdminKey(req, res, next) {
+  const adminKey = req.get('X-Admin-Key');
+
+  if (!ADMIN_API_KEY || !adminKey) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  // Compare digests so the lengths always match for timingSafeEqual
+  const expected = crypto.createHash('sha256').update(ADMIN_API_KEY).digest();
+  const actual = crypto.createHash('sha256').update(String(adminKey)).digest();
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    console.error('❌ Invalid admin key');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  req.auth = { method: 'admin', keyId: null, userId: null, businessIds: [] };
+  next();
+}
+
+// ============================================================
+// PLAN ENTITLEMENTS & USAGE
+// ============================================================
+
+// What each plan may use. monthlyMessages: null = unlimited.
+// A plan row can override these with its `entitlements` column.
+const PLAN_ENTITLEMENTS = {
+  // Reminders stay on, as for every business before plans existed
+  free: { monthlyMessages: 50, broadcasts: false, smsFallback: false, reminders: true },
+  starter: { monthlyMessages: 300, broadcasts: false, smsFallback: false, reminders: true },
+  pro: { monthlyMessages: 1000, broadcasts: true, smsFallback: false, reminders: true },
+  premium: { monthlyMessages: null, broadcasts: true, smsFallback: true, reminders: true }
+};
+
+// Trials get the entitlements of this plan
+const TRIAL_PLAN = 'pro';
+
+// Owner notices are not counted against the business's quota
+const UNMETERED_TEMPLATES = ['subscription'];
+
+/**
+ * Start and end of the usage period that contains `now`
+ * Paid plans count monthly from their current_period_start (yearly plans too);
+ * free businesses and trials count per calendar month.
+ */
+function getUsagePeriod(subscription, status, now) {
+  if (['active', 'past_due'].includes(status) && subscription?.current_period_start) {
+    let start = new Date(subscription.current_period_start);
+    let end = addBillingCycle(start, 'monthly');
+
+    while (end <= now) {
+      start = end;
+      end = addBillingCycle(start, 'monthly');
+    }
+    return { start, end };
+  }
+
+  const start = new Date(now.getFullYear(), now.getMonth(), 1);
+  return { start, end: new Date(now.getFullYear(), now.getMonth() + 1, 1) };
+}
+
+/**
+ * Plan, entitlements and usage period of a business
+ */
+async function getBusinessEntitlements(businessId) {
+  const { data: subscription, error } = await supabase
+    .from('subscriptions')
+    .select('plan_type, status, current_period_start, current_period_end, trial_ends_at, cancelled_at, plans (entitlements)')
+    .eq('business_id', businessId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const now = new Date();
+  const status = subscription ? getEffectiveSubscriptionStatus(subscription, now) : 'none';
+
+  let plan = 'free';
+  if (status === 'trial') {
+    plan = TRIAL_PLAN;
+  } else if (['active', 'past_due'].includes(status) && PLAN_ENTITLEMENTS[subscription.plan_type]) {
+    plan = subscription.plan_type;
+  }
+
+  const overrides = plan === subscription?.plan_type ? subscription.plans?.entitlements : null;
+
+  return {
+    plan,
+    status,
+    entitlements: { ...PLAN_ENTITLEMENTS[plan], ...(overrides || {}) },
+    period: getUsagePeriod(subscription, status, now)
+  };
+}
+
+/**
+ * Count the messages a business sent in a usage period
+ * Every logged send counts, including SMS fallbacks, except failed ones.
+ */
+async function countBusinessMessages(businessId, period) {
+  const { count, error } = await supabase
+    .from('messages')
+    .select('id', { count: 'exact', head: true })
+    .eq('business_id', businessId)
+    .neq('status', 'failed')
+    .not('template', 'in', `(${UNMETERED_TEMPLATES.join(',')})`)
+    .gte('created_at', period.start.toISOString())
+    .lt('created_at', period.end.toISOString());
+
+  if (error) throw error;
+  return count || 0;
+}
+
+/**
+ * Check a business's plan before sending
+ * @param {object} options - { feature: 'broadcasts' | 'reminders' | ..., messages: number to send }
+ * @returns {{ allowed: boolean, code?: string, error?: string, plan: string, remaining: number|null }}
+ */
+async function checkEntitlement(businessId, { feature, messages = 1 } = {}) {
+  const { plan, entitlements, period } = await getBusinessEntitlements(businessId);
+
+  if (feature && !entitlements[feature]) {
+    return { allowed: false, code: 'PLAN_FEATURE_UNAVAILABLE', error: `Your plan (${plan}) does not include ${feature}`, plan, remaining: null };
+  }
+
+  if (entitlements.monthlyMessages === null) {
+    return { allowed: true, plan, remaining: null };
+  }
+
+  const used = await countBusinessMessages(businessId, period);
+  const remaining = Math.max(entitlements.monthlyMessages - used, 0);
+
+  if (messages > remaining) {
+    return {
+      allowed: false,
+      code: 'MESSAGE_QUOTA_EXCEEDED',
+      error: `Monthly message quota reached (${used}/${entitlements.monthlyMessages}) for plan ${plan}`,
+      plan,
+      remaining
+    };
+  }
+
+  return { allowed: true, plan, remaining };
+}
+
+/**
+ * Reject requests the business's plan does not allow (402)
+ * Use after requireBusinessAuth.
+ * @param {object} options - { feature } to also require a plan feature
+ */
+function requireEntitlement({ feature } = {}) {
+  return async (req, res, next) => {
+    try {
+      const check = await checkEntitlement(req.businessId, { feature });
+      if (!check.allowed) {
+        console.log(`⛔ Business ${req.businessId}: ${check.error}`);
+        return res.status(402).json({ error: check.error, code: check.code, plan: check.plan, remaining: check.remaining });
+      }
+      next();
+    } catch (error) {
+      console.error('❌ Entitlement check error:', error);
+      res.status(500).json({ error: 'Entitlement check failed' });
+    }
+  };
+}
+
+// ============================================================
+// API ENDPOINTS
+// ============================================================
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'ok', 
+    version: '2.2.0',
+    timestamp: new Date().toISOString(),
+    supabase: !!SUPABASE_URL,
+    // Kept for monitors that read it before provider existed
+    twilio: !!TWILIO_CONFIG.accountSid,
+    provider: messagingProvider.name
+  });
+});
+
+// ============================================================
+// OTP ENDPOINTS
+// ============================================================
+
+/**
+ * Send OTP
+ * POST /api/otp/send
+ * Body: { phone: "0541234567" }
+ */
+app.post('/api/otp/send', async (req, res) => {
+  console.log('📥 OTP send request:', req.body);
+  
+  const { phone } = req.body;
+  
+  if (!phone) {
+    return res.status(400).json({ error: 'Phone number is required' });
+  }
+  
+  const normalizedPhone = normalizePhoneNumber(phone);
+
+  try {
+    // Abuse protection: lockout, resend cooldown, hourly/daily caps (records the send when allowed)
+    const rejection = await reserveOTPSend(normalizedPhone, req.ip);
+    if (rejection) {
+      console.log(`⛔ OTP send rejected (${rejection.code}) for ${normalizedPhone} from ${req.ip}`);
+      return sendRateLimited(res, rejection);
+    }
+
+    // Generate OTP
+    const otp = generateOTP();
+    
+    // Store OTP
+    await storeOTP(phone, otp);
+    
+    // Send via WhatsApp
+    await sendOTPWhatsApp(phone, otp);
+    
+    console.log('✅ OTP sent successfully');
+    res.json({ success: true, message: 'OTP sent', resendAfter: OTP_RESEND_COOLDOWN_SECONDS });
+  } catch (error) {
+    console.error('❌ Error sending OTP:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Verify OTP
+ * POST /api/otp/verify
+ * Body: { phone: "0541234567", code: "123456" }
+ *
+ * For password reset, also send { forPasswordReset: true, userId: "uuid" }
+ * and the response includes a single-use resetToken for /api/reset-password.
+ *
+ * For passwordless login, send { mode: "login" } and the response includes a
+ * Supabase session for the phone's auth user (created on first login).
+ */
+app.post('/api/otp/verify', async (req, res) => {
+  console.log('📥 OTP verify request:', { phone: req.body.phone, forPasswordReset: req.body.forPasswordReset, mode: req.body.mode });
+
+  const { phone, code, forPasswordReset, userId, mode } = req.body;
+
+  if (!phone || !code) {
+    return res.status(400).json({ error: 'Phone and code are required' });
+  }
+
+  if (forPasswordReset === true && !userId) {
+    return res.status(400).json({ error: 'userId is required for password reset' });
+  }
+
+  const normalizedPhone = normalizePhoneNumber(phone);
+
+  try {
+    const lockout = await checkOTPLockout(normalizedPhone);
+    if (lockout) {
+      console.log(`⛔ OTP verify rejected (locked) for ${normalizedPhone}`);
+      return sendRateLimited(res, lockout);
+    }
+
+    const result = await verifyOTP(phone, code);
+
+    if (!result.valid) {
+      console.log('❌ OTP verification failed:', result.error);
+      if (result.error === 'Too many attempts') {
+        await recordOTPLockoutFailure(normalizedPhone);
+      }
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    await clearOTPLockout(normalizedPhone);
+
+    if (forPasswordReset === true) {
+      // Only checked after a valid code, and answered like an invalid code,
+      // so the endpoint cannot be used to test which userId owns a phone
+      const { data, error: getUserError } = await supabase.auth.admin.getUserById(userId);
+      const authUser = data?.user;
+
+      if (getUserError || !authUser || authUser.email !== phoneToAuthEmail(normalizedPhone)) {
+        console.error('❌ Phone does not belong to user:', userId);
+        return res.status(400).json({ success: false, error: 'Invalid OTP' });
+      }
+
+      const { token, expiresAt } = await issueResetToken(normalizedPhone, userId);
+      console.log('✅ OTP verified successfully (for password reset)');
+      return res.json({
+        success: true,
+        verified: true,
+        resetToken: token,
+        resetTokenExpiresAt: expiresAt.toISOString()
+      });
+    }
+
+    if (mode === 'login') {
+      const login = await createPhoneLoginSession(normalizedPhone);
+      console.log(`✅ OTP verified successfully (login${login.isNewUser ? ', new user' : ''})`);
+
+      if (!login.session) {
+        // Client finishes sign-in with supabase.auth.verifyOtp({ token_hash, type: 'magiclink' })
+        return res.json({
+          success: true,
+          verified: true,
+          user: { id: login.user.id, email: login.user.email },
+          isNewUser: login.isNewUser,
+          tokenHash: login.tokenHash,
+          tokenType: 'magiclink'
+        });
+      }
+
+      return res.json({
+        success: true,
+        verified: true,
+        user: { id: login.user.id, email: login.user.email },
+        isNewUser: login.isNewUser,
+        session: {
+          access_token: login.session.access_token,
+          refresh_token: login.session.refresh_token,
+          token_type: login.session.token_type,
+          expires_in: login.session.expires_in,
+          expires_at: login.session.expires_at
+        }
+      });
+    }
+
+    console.log('✅ OTP verified successfully');
+    res.json({ success: true, verified: true });
+  } catch (error) {
+    console.error('❌ Error verifying OTP:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// PASSWORD RESET ENDPOINT
+// ============================================================
+
+/**
+ * Reset user password
+ * POST /api/reset-password
+ * Body: { resetToken: "xxx", newPassword: "newpass" }
+ *
+ * resetToken comes from /api/otp/verify with forPasswordReset. It is tied to
+ * the phone and auth user, expires after 10 minutes and can only be used once.
+ * Uses Supabase Admin API to update the user's password
+ */
+app.post('/api/reset-password', async (req, res) => {
+  console.log('📥 Password reset request:', { email: req.body.email, userId: req.body.userId });
+
+  const { resetToken, newPassword, email, userId } = req.body;
+
+  if (!resetToken || !newPassword) {
+    return res.status(400).json({ error: 'Missing required fields: resetToken, newPassword' });
+  }
+
+  if (newPassword.length < 6) {
+    return res.status(400).json({ error: 'Password must be at least 6 characters' });
+  }
+
+  // SECURITY: Verify the token signature and expiry
+  const token = verifySignedToken(resetToken, RESET_TOKEN_SECRET);
+  if (!token || !token.jti || !token.phone || !token.uid) {
+    console.error('❌ Invalid reset token');
+    return res.status(403).json({ error: 'Invalid reset token' });
+  }
+
+  if (Date.now() > token.exp) {
+    console.error('❌ Reset token expired for phone:', token.phone);
+    return res.status(403).json({ error: 'Reset token expired. Please verify OTP again.' });
+  }
+
+  // Optional fields from older clients must match the token
+  if ((userId && userId !== token.uid) || (email && email !== phoneToAuthEmail(token.phone))) {
+    console.error('❌ Reset token does not match request:', { userId, email });
+    return res.status(403).json({ error: 'Reset token does not match user' });
+  }
+
+  try {
+    // Use Supabase Admin API to update the user's password
+    const { data, error: getUserError } = await supabase.auth.admin.getUserById(token.uid);
+    const authUser = data?.user;
+
+    if (getUserError || !authUser) {
+      console.error('❌ Auth user not found for userId:', token.uid);
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Verify the email still matches the verified phone
+    if (authUser.email !== phoneToAuthEmail(token.phone)) {
+      console.error('❌ Email mismatch:', authUser.email, '!==', phoneToAuthEmail(token.phone));
+      return res.status(403).json({ error: 'Email mismatch' });
+    }
+
+    // Single use: only one request can claim the token. It is released again
+    // if the update fails, so the user can retry with the same link.
+    const consumed = await consumeResetToken(token.jti);
+    if (!consumed) {
+      console.error('❌ Reset token already used:', token.jti);
+      return res.status(403).json({ error: 'Reset token already used or expired' });
+    }
+
+    // Update the password using admin API
+    const { error: updateError } = await supabase.auth.admin.updateUserById(
+      authUser.id,
+      { password: newPassword }
+    );
+
+    if (updateError) {
+      console.error('❌ Error updating password:', updateError);
+      await releaseResetToken(token.jti);
+      throw updateError;
+    }
+
+    console.log('✅ Password reset successful for user:', authUser.id);
+    res.json({ success: true, message: 'Password updated successfully' });
+
+  } catch (error) {
+    console.error('❌ Password reset error:', error);
+    res.status(500).json({ error: error.message || 'Failed to reset password' });
+  }
+});
+
+// ============================================================
+// BOOKING NOTIFICATION ENDPOINTS
+// ============================================================
+
+/**
+ * Send booking confirmation
+ * POST /api/send-confirmation
+ */
+app.post('/api/send-confirmation', requireBusinessAuth(), requireEntitlement(), async (req, res) => {
+  console.log('📥 Confirmation request:', req.body);
+  
+  const { phone, clientName, businessName, date, time, serviceName, bookingId } = req.body;
+  const businessId = req.businessId;
+  
+  if (!phone || !clientName || !businessName || !date || !time) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  
+  try {
+    // Format the date nicely
+    let formattedDate;
+    try {
+      formattedDate = format(parseISO(date), 'd.M.yyyy');
+    } catch (e) {
+      formattedDate = date;
+    }
+    
+    // Format time as HH:MM
+    const formattedTime = time.substring(0, 5);
+    
+    const calendarUrl = getBookingCalendarUrl(bookingId, businessId);
+    const variables = {
+      "1": String(clientName),
+      "2": String(businessName),
+      "3": String(formattedDate),
+      "4": String(formattedTime),
+      "5": String(serviceName || 'תור')
+    };
+
+    const queued = await enqueueAndSend({
+      to: phone,
+      ...withCalendarLink('confirmation', variables, calendarUrl),
+      context: { businessId, bookingId },
+      idempotencyKey: req.get('Idempotency-Key')
+    });
+    
+    console.log(`✅ Confirmation ${queued.message.status}`);
+    sendQueuedResponse(res, queued, { calendarUrl });
+  } catch (error) {
+    console.error('❌ Error sending confirmation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Send booking cancellation notification
+ * POST /api/send-cancellation
+ */
+app.post('/api/send-cancellation', requireBusinessAuth(), requireEntitlement(), async (req, res) => {
+  console.log('📥 Cancellation request:', req.body);
+
+  const { phone, clientName, serviceName, date, bookingId } = req.body;
+  const businessId = req.businessId;
+
+  if (!phone) {
+    return res.status(400).json({ error: 'Missing phone number' });
+  }
+
+  try {
+    let formattedDate = '';
+
+    if (date) {
+      try {
+        formattedDate = format(parseISO(date), 'd.M.yyyy');
+      } catch (e) {
+        formattedDate = date;
+      }
+    }
+
+    const queued = await enqueueAndSend({
+      to: phone,
+      template: 'cancellation',
+      variables: {
+        "1": String(clientName || 'לקוח'),
+        "2": String(serviceName || 'התור'),
+        "3": String(formattedDate || '')
+      },
+      context: { businessId, bookingId },
+      idempotencyKey: req.get('Idempotency-Key')
+    });
+
+    console.log(`✅ Cancellation notification ${queued.message.status}`);
+    sendQueuedResponse(res, queued);
+  } catch (error) {
+    console.error('❌ Error sending cancellation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Send booking update/cancellation
+ * POST /api/send-update
+ */
+app.post('/api/send-update', requireBusinessAuth(), requireEntitlement(), async (req, res) => {
+  console.log('📥 Update request:', req.body);
+  
+  const { phone, clientName, businessName, date, time, status, serviceName, bookingId } = req.body;
+  const businessId = req.businessId;
+  
+  if (!phone || !clientName || !businessName) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  
+  try {
+    let formattedDate = '';
+    let formattedTime = '';
+    
+    if (date) {
+      try {
+        formattedDate = format(parseISO(date), 'd.M.yyyy');
       } catch (e) {
         formattedDate = date;
       }
     }
+    
+    if (time) {
+      formattedTime = time.substring(0, 5);
+    }
+    
+    // Status text
+    const statusText = status === 'cancelled' ? 'בוטל' : 'עודכן';
+    
+    const calendarUrl = getBookingCalendarUrl(bookingId, businessId);
+    const variables = {
+      "1": String(clientName),
+      "2": String(businessName),
+      "3": String(statusText),
+      "4": String(formattedDate || ''),
+      "5": String(formattedTime || '')
+    };
+
+    const queued = await enqueueAndSend({
+      to: phone,
+      ...withCalendarLink('update', variables, calendarUrl),
+      context: { businessId, bookingId },
+      idempotencyKey: req.get('Idempotency-Key')
+    });
+    
+    console.log(`✅ Update ${queued.message.status}`);
+    sendQueuedResponse(res, queued, { calendarUrl });
+  } catch (error) {
+    console.error('❌ Error sending update:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Send waiting list notification
+ * POST /api/send-waiting-list
+ */
+app.post('/api/send-waiting-list', requireBusinessAuth(), requireEntitlement(), async (req, res) => {
+  console.log('📥 Waiting list notification request:', req.body);
+  
+  const { phone, clientName, date, serviceName, bookingId } = req.body;
+  const businessId = req.businessId;
+  
+  if (!phone || !clientName || !date) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  
+  try {
+    let formattedDate;
+    try {
+      formattedDate = format(parseISO(date), 'd.M.yyyy');
+    } catch (e) {
+      formattedDate = date;
+    }
+    
+    const queued = await enqueueAndSend({
+      to: phone,
+      template: 'waiting_list',
+      variables: {
+        "1": String(clientName),
+        "2": String(formattedDate),
+        "3": String(serviceName || 'תור')
+      },
+      context: { businessId, bookingId },
+      idempotencyKey: req.get('Idempotency-Key')
+    });
+    
+    console.log(`✅ Waiting list notification ${queued.message.status}`);
+    sendQueuedResponse(res, queued);
+  } catch (error) {
+    console.error('❌ Error sending waiting list notification:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Send broadcast message
+ * POST /api/send-broadcast
+ *
+ * Creates a broadcast job and returns its id right away. Messages are sent in
+ * the background at ratePerMinute (default BROADCAST_RATE_PER_MINUTE).
+ * Track it with GET /api/broadcasts/:jobId.
+ *
+ * Send either `recipients` or a `segment` (see AUDIENCE SEGMENTS).
+ * Duplicate and invalid numbers are removed.
+ */
+app.post('/api/send-broadcast', requireBusinessAuth(), requireEntitlement({ feature: 'broadcasts' }), async (req, res) => {
+  console.log('📥 Broadcast request');
+  
+  const { recipients, segment, message, ratePerMinute } = req.body;
+  const businessId = req.businessId;
+  
+  if (segment) {
+    const segmentError = validateSegment(segment);
+    if (segmentError) {
+      return res.status(400).json({ error: segmentError });
+    }
+  } else if (!recipients || !Array.isArray(recipients) || recipients.length === 0) {
+    return res.status(400).json({ error: 'Missing or invalid recipients' });
+  }
+  
+  if (!message) {
+    return res.status(400).json({ error: 'Missing message' });
+  }
+  
+  try {
+    const audience = segment
+      ? await resolveSegment(businessId, segment)
+      : cleanRecipients(recipients);
+
+    if (audience.recipients.length === 0) {
+      return res.status(400).json({ error: 'No valid recipients', removed: audience.removed });
+    }
+
+    // The whole audience has to fit in the remaining quota
+    const check = await checkEntitlement(businessId, { feature: 'broadcasts', messages: audience.recipients.length });
+    if (!check.allowed) {
+      return res.status(402).json({ error: check.error, code: check.code, plan: check.plan, remaining: check.remaining });
+    }
+
+    const job = await createBroadcastJob({ businessId, message, recipients: audience.recipients, ratePerMinute });
+
+    console.log(`✅ Broadcast job ${job.id} created for ${job.total} recipient(s)`);
+    res.status(202).json({ success: true, jobId: job.id, status: job.status, total: job.total, removed: audience.removed });
+
+    runBroadcastJob(job.id).catch(error => console.error(`❌ Broadcast job ${job.id} error:`, error));
+  } catch (error) {
+    console.error('❌ Error creating broadcast:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// AUDIENCE SEGMENTS
+// ============================================================
+
+const SEGMENT_TYPES = ['recent', 'service', 'upcoming', 'lapsed'];
+const SEGMENT_EXCLUDED_STATUSES = ['cancelled', 'rejected'];
+const SEGMENT_ACTIVE_STATUSES = ['pending', 'approved', 'confirmed'];
+const SEGMENT_PAGE_SIZE = 1000;
+const SEGMENT_MAX_DAYS = 3650;
+
+/**
+ * Check a segment definition
+ * @returns {string|null} An error message, or null if valid
+ */
+function validateSegment(segment) {
+  if (!segment || !SEGMENT_TYPES.includes(segment.type)) {
+    return `Segment type must be one of: ${SEGMENT_TYPES.join(', ')}`;
+  }
+
+  const days = Number(segment.days);
+  const validDays = Number.isInteger(days) && days > 0 && days <= SEGMENT_MAX_DAYS;
+
+  if ((segment.type === 'recent' || segment.type === 'lapsed') && !validDays) {
+    return `Segment "${segment.type}" requires "days" between 1 and ${SEGMENT_MAX_DAYS}`;
+  }
+
+  if (segment.days != null && !validDays) {
+    return `Segment "days" must be between 1 and ${SEGMENT_MAX_DAYS}`;
+  }
+
+  if (segment.type === 'service' && !segment.serviceId) {
+    return 'Segment "service" requires "serviceId"';
+  }
+
+  return null;
+}
+
+/**
+ * Whether a normalized number can receive WhatsApp messages
+ * Israeli numbers must be mobile (05x); other country codes only need a plausible length.
+ */
+function isValidPhoneNumber(normalizedPhone) {
+  if (!normalizedPhone) return false;
+  if (normalizedPhone.startsWith('972')) return /^9725\d{8}$/.test(normalizedPhone);
+  return /^\d{10,15}$/.test(normalizedPhone);
+}
+
+/**
+ * Normalize, validate and de-duplicate recipients (first occurrence wins)
+ */
+function cleanRecipients(recipients) {
+  const seen = new Map();
+  let invalid = 0;
+  let duplicates = 0;
+
+  for (const recipient of recipients) {
+    const normalizedPhone = normalizePhoneNumber(recipient.phone ? String(recipient.phone) : null);
+
+    if (!isValidPhoneNumber(normalizedPhone)) {
+      invalid++;
+      continue;
+    }
+
+    if (seen.has(normalizedPhone)) {
+      duplicates++;
+      continue;
+    }
+
+    seen.set(normalizedPhone, { phone: normalizedPhone, name: recipient.name || null });
+  }
+
+  return { recipients: [...seen.values()], removed: { invalid, duplicates } };
+}
+
+/**
+ * Fetch every booking matching a query, page by page
+ * @param {Function} buildQuery - Returns a fresh query for each page
+ */
+async function fetchAllBookings(buildQuery) {
+  const rows = [];
+
+  for (let from = 0; ; from += SEGMENT_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + SEGMENT_PAGE_SIZE - 1);
+    if (error) throw error;
+
+    rows.push(...(data || []));
+    if (!data || data.length < SEGMENT_PAGE_SIZE) break;
+  }
+
+  return rows;
+}
+
+/**
+ * Resolve a segment definition to broadcast recipients from the business's bookings
+ *
+ * Segments:
+ *   { type: 'recent', days: 30 }          clients with a booking in the last N days
+ *   { type: 'service', serviceId, days? } clients who booked a service (optionally in the last N days)
+ *   { type: 'upcoming' }                  clients with a future booking
+ *   { type: 'lapsed', days: 60 }          clients whose last booking is older than N days and have nothing booked
+ */
+async function resolveSegment(businessId, segment) {
+  const now = new Date();
+  const today = format(now, 'yyyy-MM-dd');
+  const since = segment.days != null ? format(subDays(now, Number(segment.days)), 'yyyy-MM-dd') : null;
+
+  const baseQuery = () => supabase
+    .from('bookings')
+    .select('client_phone, client_name, date, status')
+    .eq('business_id', businessId)
+    .not('client_phone', 'is', null)
+    .not('status', 'in', `(${SEGMENT_EXCLUDED_STATUSES.join(',')})`)
+    .order('date', { ascending: false })
+    // Tie-breaker, so pages do not overlap or skip rows on the same date
+    .order('id', { ascending: true });
+
+  let bookings;
+
+  switch (segment.type) {
+    case 'recent':
+      bookings = await fetchAllBookings(() => baseQuery().gte('date', since).lte('date', today));
+      break;
+
+    case 'service':
+      bookings = await fetchAllBookings(() => {
+        const query = baseQuery().eq('service_id', segment.serviceId);
+        return since ? query.gte('date', since) : query;
+      });
+      break;
+
+    case 'upcoming':
+      bookings = await fetchAllBookings(() => baseQuery().gte('date', today).in('status', SEGMENT_ACTIVE_STATUSES));
+      break;
+
+    case 'lapsed': {
+      const all = await fetchAllBookings(baseQuery);
+
+      // Latest booking per client (rows are newest first)
+      const latest = new Map();
+      for (const booking of all) {
+        const phone = normalizePhoneNumber(booking.client_phone);
+        if (!latest.has(phone)) latest.set(phone, booking);
+      }
+
+      bookings = [...latest.values()].filter(booking => booking.date < since);
+      break;
+    }
+  }
+
+  return cleanRecipients(bookings.map(booking => ({ phone: booking.client_phone, name: booking.client_name })));
+}
+
+/**
+ * Preview a segment before sending
+ * POST /api/broadcasts/preview
+ * Body: { segment: { type: "recent", days: 30 } }
+ */
+app.post('/api/broadcasts/preview', requireBusinessAuth(), async (req, res) => {
+  const { segment } = req.body;
+  const businessId = req.businessId;
+
+  const segmentError = validateSegment(segment);
+  if (segmentError) {
+    return res.status(400).json({ error: segmentError });
+  }
+
+  try {
+    const { recipients, removed } = await resolveSegment(businessId, segment);
+
+    res.json({
+      count: recipients.length,
+      removed,
+      sample: recipients.slice(0, 5).map(recipient => recipient.name || 'לקוח')
+    });
+  } catch (error) {
+    console.error('❌ Error previewing segment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// BROADCAST JOBS
+// ============================================================
+
+const BROADCAST_RATE_PER_MINUTE = parseInt(process.env.BROADCAST_RATE_PER_MINUTE) || 30;
+const BROADCAST_MAX_RATE_PER_MINUTE = 120;
+const BROADCAST_INSERT_CHUNK = 500;
+const BROADCAST_HEARTBEAT_TIMEOUT_MINUTES = 2;
+
+// Jobs being sent by this process
+const activeBroadcastJobs = new Set();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a broadcast job and its recipient rows
+ */
+async function createBroadcastJob({ businessId, message, recipients, ratePerMinute }) {
+  const rate = Math.min(parseInt(ratePerMinute) || BROADCAST_RATE_PER_MINUTE, BROADCAST_MAX_RATE_PER_MINUTE);
+
+  const { data: job, error } = await supabase
+    .from('broadcast_jobs')
+    .insert({
+      business_id: businessId || null,
+      message,
+      status: 'queued',
+      total: recipients.length,
+      sent: 0,
+      failed: 0,
+      skipped: 0,
+      rate_per_minute: rate
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const rows = recipients.map(recipient => ({
+    job_id: job.id,
+    phone: recipient.phone || null,
+    name: recipient.name || null,
+    status: 'pending'
+  }));
+
+  for (let i = 0; i < rows.length; i += BROADCAST_INSERT_CHUNK) {
+    const { error: insertError } = await supabase
+      .from('broadcast_recipients')
+      .insert(rows.slice(i, i + BROADCAST_INSERT_CHUNK));
+
+    if (insertError) {
+      await supabase.from('broadcast_jobs').update({ status: 'failed', finished_at: new Date().toISOString() }).eq('id', job.id);
+      throw insertError;
+    }
+  }
+
+  return job;
+}
+
+/**
+ * Claim a job for this process (queued jobs, or running jobs whose worker stopped)
+ * @returns {object|null} The claimed job, or null if it is not available
+ */
+async function claimBroadcastJob(jobId) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - BROADCAST_HEARTBEAT_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('broadcast_jobs')
+    .update({ status: 'running', heartbeat_at: now.toISOString() })
+    .eq('id', jobId)
+    .or(`status.eq.queued,and(status.eq.running,heartbeat_at.lt."${staleBefore}")`)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (data && !data.started_at) {
+    await supabase.from('broadcast_jobs').update({ started_at: now.toISOString() }).eq('id', jobId);
+  }
+
+  return data;
+}
+
+/**
+ * Read the job's status and refresh its heartbeat
+ */
+async function touchBroadcastJob(jobId, counters) {
+  const { data, error } = await supabase
+    .from('broadcast_jobs')
+    .update({ ...counters, heartbeat_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .select('status')
+    .single();
+
+  if (error) throw error;
+  return data.status;
+}
+
+/**
+ * Stop a job whose business ran out of message quota
+ * The recipients not sent yet are marked failed with the quota error.
+ */
+async function stopBroadcastJobForQuota(jobId, counters, reason) {
+  const { data: stopped, error } = await supabase
+    .from('broadcast_recipients')
+    .update({ status: 'failed', error: reason })
+    .eq('job_id', jobId)
+    .eq('status', 'pending')
+    .select('id');
+
+  if (error) throw error;
+  counters.failed += stopped?.length || 0;
+
+  await supabase
+    .from('broadcast_jobs')
+    .update({ ...counters, status: 'failed', finished_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .eq('status', 'running');
+}
+
+/**
+ * Send a broadcast job's pending recipients at the job's rate
+ * Stops between messages when the job is cancelled, and when the business's
+ * quota runs out (it was only checked for this job when it was created, and
+ * other jobs or notifications may have used it since).
+ */
+async function runBroadcastJob(jobId) {
+  if (activeBroadcastJobs.has(jobId)) return;
+
+  const job = await claimBroadcastJob(jobId);
+  if (!job) return;
+
+  activeBroadcastJobs.add(jobId);
+  const delayMs = Math.ceil(60000 / job.rate_per_minute);
+  const counters = { sent: job.sent, failed: job.failed, skipped: job.skipped };
+
+  console.log(`📣 Broadcast job ${jobId} running (${job.total} recipients, ${job.rate_per_minute}/min)`);
+
+  try {
+    while (true) {
+      const { data: batch, error } = await supabase
+        .from('broadcast_recipients')
+        .select('id, phone, name')
+        .eq('job_id', jobId)
+        .eq('status', 'pending')
+        .order('id', { ascending: true })
+        .limit(50);
+
+      if (error) throw error;
+      if (!batch || batch.length === 0) break;
+
+      for (const recipient of batch) {
+        // Check for cancellation before every message
+        const status = await touchBroadcastJob(jobId, counters);
+        if (status === 'cancelled') {
+          console.log(`🛑 Broadcast job ${jobId} cancelled`);
+          return;
+        }
+
+        if (job.business_id) {
+          const check = await checkEntitlement(job.business_id, { feature: 'broadcasts' });
+          if (!check.allowed) {
+            console.log(`⛔ Broadcast job ${jobId} stopped: ${check.error}`);
+            await stopBroadcastJobForQuota(jobId, counters, check.error);
+            return;
+          }
+        }
+
+        const update = { sent_at: new Date().toISOString() };
+
+        try {
+          if (!recipient.phone) {
+            throw new Error('Missing phone number');
+          }
+
+          const result = await sendWhatsAppMessage(
+            recipient.phone,
+            'broadcast',
+            {
+              "1": String(recipient.name || 'לקוח יקר'),
+              "2": String(job.message)
+            },
+            { businessId: job.business_id }
+          );
+
+          Object.assign(update, { status: 'sent', message_sid: result.sid, channel: result.channel });
+          counters.sent++;
+        } catch (e) {
+          if (e.code === 'RECIPIENT_SUPPRESSED') {
+            Object.assign(update, { status: 'skipped', error: e.message });
+            counters.skipped++;
+          } else {
+            Object.assign(update, { status: 'failed', error: e.message });
+            counters.failed++;
+          }
+        }
+
+        const { error: updateError } = await supabase
+          .from('broadcast_recipients')
+          .update(update)
+          .eq('id', recipient.id);
+
+        if (updateError) console.error('❌ Error updating broadcast recipient:', updateError);
+
+        await sleep(delayMs);
+      }
+    }
+
+    await supabase
+      .from('broadcast_jobs')
+      .update({ ...counters, status: 'completed', finished_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .eq('status', 'running');
+
+    console.log(`✅ Broadcast job ${jobId} complete: ${counters.sent} sent, ${counters.failed} failed, ${counters.skipped} skipped`);
+  } finally {
+    activeBroadcastJobs.delete(jobId);
+  }
+}
+
+/**
+ * Pick up queued jobs and jobs left behind by a stopped worker
+ */
+async function resumeBroadcastJobs() {
+  const { data, error } = await supabase
+    .from('broadcast_jobs')
+    .select('id')
+    .in('status', ['queued', 'running']);
+
+  if (error) {
+    console.error('❌ Error loading broadcast jobs:', error);
+    return;
+  }
+
+  for (const { id } of data || []) {
+    runBroadcastJob(id).catch(err => console.error(`❌ Broadcast job ${id} error:`, err));
+  }
+}
+
+/**
+ * Look for jobs to resume now and then every heartbeat timeout
+ * A job left running by the previous process can only be claimed once its
+ * heartbeat is stale, which is usually after this process has started.
+ */
+function scheduleBroadcastResume() {
+  const run = () => resumeBroadcastJobs().catch(error => console.error('❌ Broadcast resume error:', error));
+
+  run();
+  setInterval(run, BROADCAST_HEARTBEAT_TIMEOUT_MINUTES * 60 * 1000);
+}
+
+/**
+ * Broadcast job progress with per-recipient results
+ * GET /api/broadcasts/:jobId?status=failed
+ */
+app.get('/api/broadcasts/:jobId', requireBusinessAuth({ fromResource: true }), async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    const { data: job, error } = await supabase
+      .from('broadcast_jobs')
+      .select('id, business_id, status, total, sent, failed, skipped, rate_per_minute, created_at, started_at, finished_at, cancelled_at')
+      .eq('id', jobId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!job || !canAccessBusiness(req, job.business_id)) {
+      return res.status(404).json({ error: 'Broadcast job not found' });
+    }
+
+    let query = supabase
+      .from('broadcast_recipients')
+      .select('phone, name, status, error, message_sid, channel, sent_at')
+      .eq('job_id', jobId)
+      .order('id', { ascending: true });
+
+    if (req.query.status) query = query.eq('status', req.query.status);
+
+    const { data: recipients, error: recipientsError } = await query;
+    if (recipientsError) throw recipientsError;
+
+    res.json({ ...job, pending: job.total - job.sent - job.failed - job.skipped, recipients: recipients || [] });
+  } catch (error) {
+    console.error('❌ Error fetching broadcast job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Cancel a queued or running broadcast job
+ * POST /api/broadcasts/:jobId/cancel
+ */
+app.post('/api/broadcasts/:jobId/cancel', requireBusinessAuth({ fromResource: true }), async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    const { data: job, error } = await supabase
+      .from('broadcast_jobs')
+      .update({ status: 'cancelled', cancelled_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .in('business_id', req.auth.businessIds)
+      .in('status', ['queued', 'running'])
+      .select('id, status, total, sent, failed, skipped')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!job) {
+      return res.status(409).json({ error: 'Broadcast job not found or already finished' });
+    }
+
+    const { error: recipientsError } = await supabase
+      .from('broadcast_recipients')
+      .update({ status: 'cancelled' })
+      .eq('job_id', jobId)
+      .eq('status', 'pending');
+
+    if (recipientsError) throw recipientsError;
+
+    console.log(`🛑 Broadcast job ${jobId} cancelled`);
+    res.json({ success: true, ...job });
+  } catch (error) {
+    console.error('❌ Error cancelling broadcast job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// BUSINESS API KEYS
+// ============================================================
+
+/**
+ * Create an API key for a business (owner JWT only)
+ * POST /api/businesses/:businessId/api-keys
+ * Body: { name: "Booking website" }
+ *
+ * The key is only returned once; only its hash is stored.
+ */
+app.post('/api/businesses/:businessId/api-keys', requireBusinessAuth({ allowApiKey: false }), async (req, res) => {
+  const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+  try {
+    const { data, error } = await supabase
+      .from('business_api_keys')
+      .insert({
+        business_id: req.businessId,
+        name: req.body.name || null,
+        key_hash: hashApiKey(apiKey),
+        key_prefix: apiKey.slice(0, 8),
+        created_by: req.auth.userId
+      })
+      .select('id, name, key_prefix, created_at')
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🔑 API key ${data.id} created for business ${req.businessId}`);
+    res.json({ success: true, apiKey, key: data });
+  } catch (error) {
+    console.error('❌ Error creating API key:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List a business's API keys (owner JWT only)
+ * GET /api/businesses/:businessId/api-keys
+ */
+app.get('/api/businesses/:businessId/api-keys', requireBusinessAuth({ allowApiKey: false }), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('business_api_keys')
+      .select('id, name, key_prefix, created_at, last_used_at, revoked_at')
+      .eq('business_id', req.businessId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    res.json({ keys: data || [] });
+  } catch (error) {
+    console.error('❌ Error listing API keys:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Revoke an API key (owner JWT only)
+ * DELETE /api/businesses/:businessId/api-keys/:keyId
+ */
+app.delete('/api/businesses/:businessId/api-keys/:keyId', requireBusinessAuth({ allowApiKey: false }), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('business_api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.params.keyId)
+      .eq('business_id', req.businessId)
+      .is('revoked_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+
+    console.log(`🔑 API key ${data.id} revoked for business ${req.businessId}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error revoking API key:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// TWILIO INBOUND WEBHOOK (reply to confirm / cancel)
+// ============================================================
+
+const CONFIRM_REPLIES = ['1', 'מאשר', 'מאשרת', 'אישור', 'כן', 'confirm', 'yes'];
+const CANCEL_REPLIES = ['2', 'ביטול', 'בטל', 'לבטל', 'cancel', 'no'];
+
+/**
+ * Map a client reply (text or quick-reply payload) to a booking action
+ * @returns {'confirm' | 'cancel' | null}
+ */
+function parseBookingReply(text) {
+  const reply = String(text || '').trim().toLowerCase();
+  if (!reply) return null;
+
+  if (CONFIRM_REPLIES.includes(reply)) return 'confirm';
+  if (CANCEL_REPLIES.includes(reply)) return 'cancel';
+  return null;
+}
+
+// Bookings a client can confirm or cancel by reply. Pending bookings still wait
+// for the business, so a reply must not approve them.
+const REPLY_BOOKING_STATUSES = ['approved', 'confirmed'];
+
+/**
+ * Find the client's next upcoming approved booking by phone
+ */
+async function findNextUpcomingBooking(phone) {
+  const variants = getPhoneVariants(phone);
+  if (variants.length === 0) return null;
+
+  const now = new Date();
+  const todayStr = format(now, 'yyyy-MM-dd');
+
+  const { data, error } = await supabase
+    .from('bookings')
+    .select(`
+      id,
+      date,
+      time,
+      status,
+      client_name,
+      client_phone,
+      business_id,
+      businesses (name)
+    `)
+    .in('client_phone', variants)
+    .gte('date', todayStr)
+    .in('status', REPLY_BOOKING_STATUSES)
+    .order('date', { ascending: true })
+    .order('time', { ascending: true })
+    .limit(10);
+
+  if (error) throw error;
+
+  // Skip bookings from earlier today
+  return (data || []).find(booking => {
+    const [hours, minutes] = booking.time.split(':');
+    const start = parseISO(booking.date);
+    start.setHours(hours, minutes, 0, 0);
+    return start > now;
+  }) || null;
+}
+
+/**
+ * Inbound WhatsApp messages from Twilio
+ * POST /api/webhooks/twilio/inbound
+ *
+ * Clients reply to reminders with "1"/"מאשר" to confirm or "2"/"ביטול" to cancel.
+ * Quick-reply buttons arrive as ButtonPayload. The answer is sent back as TwiML.
+ * "STOP"/"הסר" adds the client to the suppression list.
+ */
+app.post('/api/webhooks/twilio/inbound', express.urlencoded({ extended: false }), async (req, res) => {
+  if (!isValidTwilioSignature(req)) {
+    console.error('❌ Invalid Twilio signature on inbound webhook');
+    return res.status(403).send('Invalid signature');
+  }
+
+  const { From, Body, ButtonPayload } = req.body;
+  const phone = String(From || '').replace(/^whatsapp:/, '');
+
+  console.log('📥 Inbound WhatsApp message:', { from: phone, body: Body, buttonPayload: ButtonPayload });
+
+  res.type('text/xml');
+
+  if (isStopKeyword(ButtonPayload) || isStopKeyword(Body)) {
+    try {
+      // STOP applies to the business that last messaged this client, or to all if none did
+      const business = await findLastMessagingBusiness(phone);
+      await addSuppression(phone, business?.id, 'STOP reply', 'inbound_keyword');
+
+      const reply = business?.name
+        ? `הוסרת מרשימת התפוצה של ${business.name}. לא יישלחו אליך יותר הודעות שיווקיות.`
+        : 'הוסרת מרשימת התפוצה. לא יישלחו אליך יותר הודעות שיווקיות.';
+      return res.send(buildTwiML(reply));
+    } catch (error) {
+      console.error('❌ Error handling STOP:', error);
+      return res.send(buildTwiML('אירעה שגיאה, נסו שוב מאוחר יותר.'));
+    }
+  }
+
+  const action = parseBookingReply(ButtonPayload) || parseBookingReply(Body);
+  if (!action) {
+    return res.send(buildTwiML());
+  }
+
+  try {
+    const booking = await findNextUpcomingBooking(phone);
+
+    if (!booking) {
+      console.log('   No upcoming booking for', phone);
+      return res.send(buildTwiML('לא מצאנו תור קרוב על שם המספר הזה.'));
+    }
+
+    const newStatus = action === 'confirm' ? 'confirmed' : 'cancelled';
+
+    // Conditional on the status, in case the business changed the booking meanwhile
+    const { data: updated, error } = await supabase
+      .from('bookings')
+      .update({ status: newStatus, updated_at: new Date().toISOString() })
+      .eq('id', booking.id)
+      .in('status', REPLY_BOOKING_STATUSES)
+      .select('id');
+
+    if (error) throw error;
+    if (!updated?.length) {
+      console.log(`   Booking ${booking.id} is no longer approved, reply ignored`);
+      return res.send(buildTwiML('לא מצאנו תור קרוב על שם המספר הזה.'));
+    }
+
+    const businessName = booking.businesses?.name || '';
+    const formattedDate = format(parseISO(booking.date), 'd.M.yyyy');
+    const formattedTime = booking.time.substring(0, 5);
+
+    console.log(`✅ Booking ${booking.id} ${newStatus} by client reply`);
+
+    const reply = action === 'confirm'
+      ? `✅ תודה! התור שלך ב${businessName} ב-${formattedDate} בשעה ${formattedTime} אושר.`
+      : `❌ התור שלך ב${businessName} ב-${formattedDate} בשעה ${formattedTime} בוטל.`;
+
+    res.send(buildTwiML(reply));
+  } catch (error) {
+    console.error('❌ Inbound webhook error:', error);
+    res.send(buildTwiML('אירעה שגיאה, נסו שוב מאוחר יותר.'));
+  }
+});
+
+// ============================================================
+// MESSAGE DELIVERY STATUS
+// ============================================================
+
+/**
+ * Twilio delivery status callback
+ * POST /api/webhooks/twilio/status
+ *
+ * Sent by Twilio for every outbound message when PUBLIC_BASE_URL is set.
+ */
+app.post('/api/webhooks/twilio/status', express.urlencoded({ extended: false }), async (req, res) => {
+  if (!isValidTwilioSignature(req)) {
+    console.error('❌ Invalid Twilio signature on status callback');
+    return res.status(403).send('Invalid signature');
+  }
+
+  const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body;
+
+  if (!MessageSid || !MessageStatus) {
+    return res.status(400).send('Missing MessageSid or MessageStatus');
+  }
+
+  try {
+    const message = await updateMessageStatus(MessageSid, MessageStatus, ErrorCode, ErrorMessage);
+    if (!message) {
+      console.log(`⚠️ Status callback for unknown message ${MessageSid}`);
+    } else if (ErrorCode) {
+      console.log(`📬 ${MessageSid}: ${MessageStatus} (error ${ErrorCode})`);
+    }
+
+    // WhatsApp accepted the message but could not deliver it
+    if (message && message.channel === 'whatsapp' && FALLBACK_STATUSES.includes(MessageStatus)) {
+      await sendSMSFallback(message);
+    }
+
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('❌ Status callback error:', error);
+    res.sendStatus(500);
+  }
+});
+
+/**
+ * Message log for a business
+ * GET /api/messages/:businessId?status=delivered&channel=sms&bookingId=...&template=...&from=...&to=...&limit=50&offset=0
+ */
+app.get('/api/messages/:businessId', requireBusinessAuth(), async (req, res) => {
+  const businessId = req.businessId;
+  const { status, channel, bookingId, template, from, to } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = parseInt(req.query.offset) || 0;
+
+  try {
+    let query = supabase
+      .from('messages')
+      .select('id, booking_id, channel, template, recipient, provider_sid, fallback_for_message_id, status, error_code, error_message, created_at, sent_at, delivered_at, read_at', { count: 'exact' })
+      .eq('business_id', businessId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+    if (channel) query = query.eq('channel', channel);
+    if (bookingId) query = query.eq('booking_id', bookingId);
+    if (template) query = query.eq('template', template);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    res.json({ messages: data || [], total: count || 0, limit, offset });
+  } catch (error) {
+    console.error('❌ Error fetching messages:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Status of a queued message
+ * GET /api/message-queue/:queueId
+ */
+app.get('/api/message-queue/:queueId', requireBusinessAuth({ fromResource: true }), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('message_queue')
+      .select('id, business_id, booking_id, template, status, attempts, next_attempt_at, last_error, message_sid, channel, created_at, updated_at')
+      .eq('id', req.params.queueId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data || !canAccessBusiness(req, data.business_id)) {
+      return res.status(404).json({ error: 'Queued message not found' });
+    }
+
+    res.json(data);
+  } catch (error) {
+    console.error('❌ Error fetching queued message:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// OPT-OUT / SUPPRESSION LIST
+// ============================================================
+
+// Templates that need consent. Transactional templates (OTP, confirmations,
+// reminders...) are still sent to suppressed numbers.
+const MARKETING_TEMPLATES = ['broadcast'];
+const STOP_KEYWORDS = ['stop', 'הסר', 'הסרה', 'unsubscribe'];
+
+/**
+ * Whether an inbound message is an opt-out request
+ */
+function isStopKeyword(text) {
+  return STOP_KEYWORDS.includes(String(text || '').trim().toLowerCase());
+}
+
+/**
+ * Check whether a phone opted out of a business's marketing messages (or of all businesses)
+ */
+async function isSuppressed(phone, businessId) {
+  const normalizedPhone = normalizePhoneNumber(phone);
+
+  const { data, error } = await supabase
+    .from('suppressions')
+    .select('business_id')
+    .eq('phone', normalizedPhone);
+
+  if (error) throw error;
+
+  return (data || []).some(row => row.business_id === null || row.business_id === businessId);
+}
+
+/**
+ * Add a phone to a business's suppression list (or the global list without businessId)
+ * @returns {object} The suppression row (existing or new)
+ */
+async function addSuppression(phone, businessId, reason, source) {
+  const normalizedPhone = normalizePhoneNumber(phone);
+
+  let query = supabase
+    .from('suppressions')
+    .select('id, phone, business_id, reason, source, created_at')
+    .eq('phone', normalizedPhone);
+
+  query = businessId ? query.eq('business_id', businessId) : query.is('business_id', null);
+
+  const { data: existing, error } = await query.maybeSingle();
+  if (error) throw error;
+  if (existing) return existing;
+
+  const { data, error: insertError } = await supabase
+    .from('suppressions')
+    .insert({
+      phone: normalizedPhone,
+      business_id: businessId || null,
+      reason: reason || null,
+      source
+    })
+    .select('id, phone, business_id, reason, source, created_at')
+    .single();
+
+  if (insertError) throw insertError;
+
+  console.log(`🚫 ${normalizedPhone} suppressed ${businessId ? `for business ${businessId}` : 'globally'} (${source})`);
+  return data;
+}
+
+/**
+ * Find the business that last messaged a phone, so STOP applies to that business
+ */
+async function findLastMessagingBusiness(phone) {
+  const { data, error } = await supabase
+    .from('messages')
+    .select('business_id, businesses (name)')
+    .eq('recipient', normalizePhoneNumber(phone))
+    .not('business_id', 'is', null)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? { id: data.business_id, name: data.businesses?.name } : null;
+}
+
+/**
+ * Add a number to the business's suppression list
+ * POST /api/suppressions
+ * Body: { phone: "0541234567", reason: "..." }
+ */
+app.post('/api/suppressions', requireBusinessAuth(), async (req, res) => {
+  const { phone, reason } = req.body;
+  const businessId = req.businessId;
+
+  if (!phone || !isValidPhoneNumber(normalizePhoneNumber(phone))) {
+    return res.status(400).json({ error: 'Missing or invalid phone' });
+  }
+
+  try {
+    const suppression = await addSuppression(phone, businessId, reason, 'api');
+    res.json({ success: true, suppression });
+  } catch (error) {
+    console.error('❌ Error adding suppression:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove a number from the business's suppression list
+ * DELETE /api/suppressions
+ * Body: { phone: "0541234567" }
+ */
+app.delete('/api/suppressions', requireBusinessAuth(), async (req, res) => {
+  const { phone } = req.body;
+  const businessId = req.businessId;
+
+  if (!phone) {
+    return res.status(400).json({ error: 'Missing phone' });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('suppressions')
+      .delete()
+      .eq('phone', normalizePhoneNumber(phone))
+      .eq('business_id', businessId)
+      .select('id');
+    if (error) throw error;
+
+    res.json({ success: true, removed: data?.length || 0 });
+  } catch (error) {
+    console.error('❌ Error removing suppression:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Suppression list of a business
+ * GET /api/suppressions/:businessId
+ */
+app.get('/api/suppressions/:businessId', requireBusinessAuth(), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('suppressions')
+      .select('id, phone, reason, source, created_at')
+      .eq('business_id', req.businessId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    res.json({ suppressions: data || [] });
+  } catch (error) {
+    console.error('❌ Error fetching suppressions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Add a number to the global suppression list (all businesses, admin key only)
+ * POST /api/admin/suppressions
+ * Body: { phone: "0541234567", reason: "..." }
+ */
+app.post('/api/admin/suppressions', requireAdminKey, async (req, res) => {
+  const { phone, reason } = req.body;
+
+  if (!phone || !isValidPhoneNumber(normalizePhoneNumber(phone))) {
+    return res.status(400).json({ error: 'Missing or invalid phone' });
+  }
+
+  try {
+    const suppression = await addSuppression(phone, null, reason, 'admin');
+    res.json({ success: true, suppression });
+  } catch (error) {
+    console.error('❌ Error adding global suppression:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove a number from the global suppression list (admin key only)
+ * DELETE /api/admin/suppressions
+ * Body: { phone: "0541234567" }
+ */
+app.delete('/api/admin/suppressions', requireAdminKey, async (req, res) => {
+  const { phone } = req.body;
+
+  if (!phone) {
+    return res.status(400).json({ error: 'Missing phone' });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('suppressions')
+      .delete()
+      .eq('phone', normalizePhoneNumber(phone))
+      .is('business_id', null)
+      .select('id');
+    if (error) throw error;
+
+    res.json({ success: true, removed: data?.length || 0 });
+  } catch (error) {
+    console.error('❌ Error removing global suppression:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Global suppression list (admin key only)
+ * GET /api/admin/suppressions
+ */
+app.get('/api/admin/suppressions', requireAdminKey, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('suppressions')
+      .select('id, phone, reason, source, created_at')
+      .is('business_id', null)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    res.json({ suppressions: data || [] });
+  } catch (error) {
+    console.error('❌ Error fetching global suppressions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// PLAN CATALOG
+// ============================================================
+
+// Amounts within half an agora are treated as equal
+const AMOUNT_TOLERANCE = 0.005;
+
+function amountsMatch(a, b) {
+  return Math.abs(Number(a) - Number(b)) < AMOUNT_TOLERANCE;
+}
+
+/**
+ * Active plans from the plans table
+ */
+async function loadActivePlans() {
+  const { data, error } = await supabase
+    .from('plans')
+    .select('id, code, plan_type, billing_cycle, price, grow_product_ids, grow_payment_desc')
+    .eq('active', true);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Coupons that can be redeemed right now
+ */
+async function loadActiveCoupons() {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('plan_coupons')
+    .select('id, code, plan_id, percent_off, amount_off, max_redemptions, redemptions')
+    .eq('active', true)
+    .or(`valid_from.is.null,valid_from.lte."${now}"`)
+    .or(`valid_until.is.null,valid_until.gte."${now}"`);
+
+  if (error) throw error;
+  return (data || []).filter(c => c.max_redemptions === null || c.redemptions < c.max_redemptions);
+}
+
+/**
+ * Price of a plan after a coupon
+ */
+function getDiscountedPrice(plan, coupon) {
+  let price = Number(plan.price);
+  if (coupon.percent_off) price -= price * Number(coupon.percent_off) / 100;
+  if (coupon.amount_off) price -= Number(coupon.amount_off);
+  return Math.max(Math.round(price * 100) / 100, 0);
+}
+
+/**
+ * Grow product identifiers in a payment payload (productData[].catalogNumber / productId)
+ */
+function getGrowProductIds(payload) {
+  const products = Array.isArray(payload.productData) ? payload.productData : [];
+  return products
+    .flatMap(p => [p.catalogNumber, p.productId, p.product_id])
+    .filter(Boolean)
+    .map(String);
+}
+
+/**
+ * Work out the plan (and coupon) of a Grow payment from the catalog
+ *
+ * The plan is identified by its Grow product or payment link description when
+ * present, otherwise by the amount. The amount must equal the plan price or
+ * its price after a valid coupon; anything else is left for manual review.
+ * @returns {{ plan: object, coupon: object|null }|{ error: string }}
+ */
+async function resolvePaymentPlan(payload) {
+  const amount = parseFloat(payload.paymentSum);
+  if (!Number.isFinite(amount)) {
+    return { error: 'Missing or invalid paymentSum' };
+  }
+
+  const plans = await loadActivePlans();
+  const productIds = getGrowProductIds(payload);
+  const desc = String(payload.paymentDesc || '').trim().toLowerCase();
+
+  const identified = plans.filter(plan =>
+    (plan.grow_product_ids || []).some(id => productIds.includes(String(id))) ||
+    (desc && plan.grow_payment_desc && plan.grow_payment_desc.toLowerCase() === desc)
+  );
+
+  if (identified.length > 1) {
+    return { error: `Payment matches ${identified.length} plans: ${identified.map(p => p.code).join(', ')}` };
+  }
+
+  const candidates = identified.length === 1 ? identified : plans;
+
+  // Full price
+  const fullPrice = candidates.filter(plan => amountsMatch(plan.price, amount));
+  if (fullPrice.length === 1) {
+    return { plan: fullPrice[0], coupon: null };
+  }
+  if (fullPrice.length > 1) {
+    return { error: `Amount ${amount} matches ${fullPrice.length} plans: ${fullPrice.map(p => p.code).join(', ')}` };
+  }
+
+  // Discounted price, limited to the coupon Grow reports if there is one
+  const couponCode = String(payload.couponCode || '').trim().toLowerCase();
+  const coupons = (await loadActiveCoupons())
+    .filter(coupon => !couponCode || coupon.code.toLowerCase() === couponCode);
+
+  const discounted = [];
+  for (const plan of candidates) {
+    for (const coupon of coupons) {
+      if (coupon.plan_id && coupon.plan_id !== plan.id) continue;
+      if (amountsMatch(getDiscountedPrice(plan, coupon), amount)) {
+        discounted.push({ plan, coupon });
+      }
+    }
+  }
+
+  if (discounted.length === 1) {
+    return discounted[0];
+  }
+  if (discounted.length > 1) {
+    return { error: `Amount ${amount} matches ${discounted.length} plan/coupon combinations` };
+  }
+
+  return identified.length === 1
+    ? { error: `Amount ${amount} does not match the price of plan ${identified[0].code}` }
+    : { error: `No plan matches amount ${amount}` };
+}
+
+/**
+ * Count a coupon redemption
+ * Guarded on the previous count so concurrent payments do not lose an increment.
+ */
+async function redeemCoupon(coupon) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data: current, error } = await supabase
+      .from('plan_coupons')
+      .select('redemptions')
+      .eq('id', coupon.id)
+      .single();
+
+    if (error) throw error;
+
+    const { data, error: updateError } = await supabase
+      .from('plan_coupons')
+      .update({ redemptions: current.redemptions + 1 })
+      .eq('id', coupon.id)
+      .eq('redemptions', current.redemptions)
+      .select('id')
+      .maybeSingle();
+
+    if (updateError) throw updateError;
+    if (data) return;
+  }
+
+  console.error(`❌ Could not count redemption of coupon ${coupon.code}`);
+}
+
+// ============================================================
+// GROW PAYMENT WEBHOOK (Direct from Grow)
+// ============================================================
+
+// Shared key Grow sends as webhookKey with every payment notification
+const GROW_WEBHOOK_KEY = process.env.GROW_WEBHOOK_KEY;
+
+// A payment still 'processing' after this long was left by a crashed request
+const PAYMENT_PROCESSING_TIMEOUT_MINUTES = 5;
+
+/**
+ * Check the webhookKey of a Grow notification against GROW_WEBHOOK_KEY
+ */
+function isValidGrowWebhookKey(webhookKey) {
+  if (!GROW_WEBHOOK_KEY || !webhookKey) return false;
+
+  // Compare digests so the lengths always match for timingSafeEqual
+  const expected = crypto.createHash('sha256').update(GROW_WEBHOOK_KEY).digest();
+  const actual = crypto.createHash('sha256').update(String(webhookKey)).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Write a Grow payment event to the payments ledger
+ * The raw payload is stored without webhookKey.
+ * @returns {{ payment: object, duplicate: boolean }} duplicate is true if the transactionCode was already recorded
+ */
+async function recordPaymentEvent(payload, fields) {
+  const { webhookKey, ...rawPayload } = payload || {};
+  const transactionCode = payload?.transactionCode || null;
+
+  const { data, error } = await supabase
+    .from('payments')
+    .insert({
+      provider: 'grow',
+      transaction_code: transactionCode,
+      amount: parseFloat(payload?.paymentSum) || null,
+      asmachta: payload?.asmachta || null,
+      payer_email: payload?.payerEmail || null,
+      payer_phone: payload?.payerPhone || null,
+      raw_payload: rawPayload,
+      ...fields
+    })
+    .select()
+    .single();
+
+  if (!error) {
+    return { payment: data, duplicate: false };
+  }
+
+  // Unique violation on transaction_code - Grow sent this payment before
+  if (error.code === '23505' && transactionCode) {
+    const { data: existing, error: existingError } = await supabase
+      .from('payments')
+      .select()
+      .eq('provider', 'grow')
+      .eq('transaction_code', transactionCode)
+      .single();
+
+    if (existingError) throw existingError;
+    return { payment: existing, duplicate: true };
+  }
+
+  throw error;
+}
+
+/**
+ * Take over a payment whose earlier processing failed or never finished, so a Grow retry can process it again
+ * @returns {object|null} The claimed payment, or null if it is processed or being processed
+ */
+async function claimRetryablePayment(paymentId) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - PAYMENT_PROCESSING_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('payments')
+    .update({ status: 'processing', error: null, updated_at: now.toISOString() })
+    .eq('id', paymentId)
+    .or(`status.eq.failed,and(status.eq.processing,updated_at.lt."${staleBefore}")`)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Record the outcome of a payment in the ledger
+ */
+async function finishPayment(paymentId, update) {
+  const now = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('payments')
+    .update({ ...update, processed_at: update.status === 'processed' ? now : null, updated_at: now })
+    .eq('id', paymentId);
+
+  if (error) console.error(`❌ Error updating payment ${paymentId}:`, error);
+}
+
+/**
+ * Find the business that paid, by email and then by phone
+ */
+async function findPayingBusiness(payerEmail, payerPhone) {
+  const { data: business, error: businessError } = await supabase
+    .from('businesses')
+    .select('id, name, email, phone')
+    .eq('email', payerEmail.toLowerCase().trim())
+    .single();
+
+  if (!businessError && business) {
+    console.log('✅ Found business:', business.name);
+    return business;
+  }
+
+  console.error('❌ Business not found for email:', payerEmail);
+
+  // Try to find by phone as fallback
+  if (payerPhone) {
+    for (const phoneVariant of [payerPhone, ...getPhoneVariants(payerPhone)]) {
+      const { data: biz, error: err } = await supabase
+        .from('businesses')
+        .select('id, name, email, phone')
+        .eq('phone', phoneVariant)
+        .single();
+
+      if (!err && biz) {
+        console.log('✅ Found business by phone instead:', biz.name);
+        return biz;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Kind of a Grow notification: payment, refund or chargeback
+ * Refunds and chargebacks carry the code of the payment they reverse in originalTransactionCode.
+ */
+function getGrowEventType(payload) {
+  const type = `${payload.transactionType || ''} ${payload.status || ''}`.toLowerCase();
+
+  if (type.includes('chargeback') || type.includes('הכחשה')) return 'chargeback';
+  if (type.includes('refund') || type.includes('זיכוי') || type.includes('החזר') || parseFloat(payload.paymentSum) < 0) return 'refund';
+  return 'payment';
+}
+
+/**
+ * Apply a refund or chargeback to the subscription the original payment paid for
+ *
+ * A chargeback or full refund of the subscription's latest payment ends it
+ * right away. Partial refunds and refunds of older payments only mark the
+ * original payment and are left for manual review.
+ * @returns {object} Ledger fields for the event: { status, error, business_id, subscription_id }
+ */
+async function processRefund(payload, eventType) {
+  const originalCode = payload.originalTransactionCode;
+  if (!originalCode) {
+    return { status: 'needs_review', error: 'Missing originalTransactionCode' };
+  }
+
+  const { data: original, error } = await supabase
+    .from('payments')
+    .select('id, transaction_code, amount, business_id, subscription_id, refunded_at')
+    .eq('provider', 'grow')
+    .eq('transaction_code', String(originalCode))
+    .eq('status', 'processed')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!original) {
+    return { status: 'needs_review', error: `Original payment ${originalCode} not found` };
+  }
+
+  const ids = { business_id: original.business_id, subscription_id: original.subscription_id };
+
+  const { error: markError } = await supabase
+    .from('payments')
+    .update({ refunded_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', original.id);
+
+  if (markError) throw markError;
+
+  const refundAmount = Math.abs(parseFloat(payload.paymentSum));
+  const isFull = eventType === 'chargeback' || !Number.isFinite(refundAmount) || !original.amount ||
+    refundAmount >= Number(original.amount) - AMOUNT_TOLERANCE;
+
+  if (!isFull) {
+    return { ...ids, status: 'needs_review', error: `Partial refund of ${refundAmount} for payment ${originalCode}; subscription not changed` };
+  }
+
+  const now = new Date().toISOString();
+
+  // Only the payment that paid for the current period ends the subscription
+  const { data: subscription, error: updateError } = await supabase
+    .from('subscriptions')
+    .update({
+      status: 'cancelled',
+      current_period_end: now,
+      cancelled_at: now,
+      cancel_reason: eventType,
+      updated_at: now
+    })
+    .eq('id', original.subscription_id)
+    .eq('external_subscription_id', original.transaction_code)
+    .select('id')
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+  if (!subscription) {
+    return { ...ids, status: 'needs_review', error: `Refunded payment ${originalCode} is not the subscription's latest payment` };
+  }
+
+  console.log(`↩️ Subscription ${subscription.id} ended by ${eventType} of payment ${originalCode}`);
+  return { ...ids, status: 'processed', error: null };
+}
+
+/**
+ * Webhook endpoint for Grow payments
+ * POST /api/webhooks/grow
+ * 
+ * Actual payload from Grow:
+ * {
+ *   "webhookKey": "xxx",
+ *   "transactionCode": "xxx",
+ *   "transactionType": "Bit",
+ *   "paymentSum": "490",
+ *   "paymentDesc": "pro-yearly",  // Plan name set in payment link
+ *   "fullName": "יקיר כהן",
+ *   "payerPhone": "0522096448",
+ *   "payerEmail": "email@example.com",
+ *   "asmachta": "123456",
+ *   "paymentSource": "Payment Links",
+ *   ...
+ * }
+ *
+ * webhookKey must match GROW_WEBHOOK_KEY. Every authenticated event is written to the payments
+ * ledger, and a transactionCode is only processed once (Grow retries are acknowledged).
+ * The plan comes from the plans catalog (see PLAN CATALOG); payments that match
+ * no plan are marked needs_review. Refunds and chargebacks end the subscription
+ * they paid for (see processRefund).
+ */
+app.post('/api/webhooks/grow', async (req, res) => {
+  const { webhookKey, ...loggedBody } = req.body || {};
+  console.log('💳 Grow webhook received:', JSON.stringify(loggedBody, null, 2));
+  
+  // Extract Grow's actual field names
+  const { 
+    payerEmail,
+    payerPhone,
+    paymentSum,
+    transactionCode
+  } = loggedBody;
+  const eventType = getGrowEventType(loggedBody);
+
+  // Unauthenticated calls are only logged: anyone could fill the ledger otherwise
+  if (!isValidGrowWebhookKey(webhookKey)) {
+    console.error(`❌ Invalid Grow webhookKey from ${req.ip} (transactionCode: ${transactionCode || 'none'})`);
+    return res.status(403).json({ error: 'Invalid webhook key' });
+  }
+
+  if (!transactionCode) {
+    console.error('❌ Missing transactionCode');
+    try {
+      await recordPaymentEvent(req.body, { status: 'failed', error: 'Missing transactionCode' });
+    } catch (error) {
+      console.error('❌ Error recording payment:', error);
+    }
+    return res.status(400).json({ error: 'Missing required field: transactionCode' });
+  }
+
+  let payment;
+
+  try {
+    const recorded = await recordPaymentEvent(req.body, { status: 'processing', event_type: eventType });
+    payment = recorded.payment;
+
+    if (recorded.duplicate) {
+      if (payment.status === 'needs_review') {
+        console.log(`🔁 Grow payment ${transactionCode} is already waiting for review`);
+        return res.status(202).json({ success: false, duplicate: true, review: true, payment_id: payment.id, error: payment.error });
+      }
+
+      if (payment.status === 'processed') {
+        console.log(`🔁 Grow payment ${transactionCode} already processed`);
+        return res.json({
+          success: true,
+          duplicate: true,
+          payment_id: payment.id,
+          subscription_id: payment.subscription_id,
+          business_id: payment.business_id,
+          plan: payment.plan_type
+        });
+      }
+
+      payment = await claimRetryablePayment(payment.id);
+      if (!payment) {
+        console.log(`⏳ Grow payment ${transactionCode} is already being processed`);
+        return res.status(409).json({ error: 'Payment is already being processed' });
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error recording payment:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  try {
+    if (eventType !== 'payment') {
+      const outcome = await processRefund(loggedBody, eventType);
+      await finishPayment(payment.id, outcome);
+
+      if (outcome.status === 'needs_review') {
+        console.error(`⚠️ Grow ${eventType} ${transactionCode} needs review: ${outcome.error}`);
+        return res.status(202).json({ success: false, review: true, payment_id: payment.id, error: outcome.error });
+      }
+
+      return res.json({ success: true, payment_id: payment.id, event: eventType, subscription_id: outcome.subscription_id, status: 'cancelled' });
+    }
+
+    // Validate required fields
+    if (!payerEmail) {
+      console.error('❌ Missing payerEmail');
+      await finishPayment(payment.id, { status: 'failed', error: 'Missing payerEmail' });
+      return res.status(400).json({ error: 'Missing required field: payerEmail' });
+    }
+
+    const business = await findPayingBusiness(payerEmail, payerPhone);
+    if (!business) {
+      await finishPayment(payment.id, { status: 'failed', error: 'Business not found' });
+      return res.status(404).json({ error: 'Business not found', email: payerEmail });
+    }
+
+    const resolved = await resolvePaymentPlan(loggedBody);
+    if (resolved.error) {
+      // Never guess a plan - an owner has to look at this payment
+      console.error(`⚠️ Grow payment ${transactionCode} needs review: ${resolved.error}`);
+      await finishPayment(payment.id, { status: 'needs_review', business_id: business.id, error: resolved.error });
+      return res.status(202).json({ success: false, review: true, payment_id: payment.id, error: resolved.error });
+    }
+
+    const { plan, coupon } = resolved;
+    const amount = parseFloat(paymentSum);
+    console.log(`📋 Resolved plan ${plan.code}${coupon ? ` with coupon ${coupon.code}` : ''} for amount ${amount}`);
+
+    const processed = await processSubscription(business, { plan, amount, transactionCode });
+    if (processed.error) {
+      console.error(`⚠️ Grow payment ${transactionCode} needs review: ${processed.error}`);
+      await finishPayment(payment.id, { status: 'needs_review', business_id: business.id, plan_id: plan.id, error: processed.error });
+      return res.status(202).json({ success: false, review: true, payment_id: payment.id, error: processed.error });
+    }
+
+    const { subscription, change, creditDays, paidPeriod } = processed;
+
+    const processedFields = {
+      status: 'processed',
+      business_id: business.id,
+      subscription_id: subscription.id,
+      plan_id: plan.id,
+      plan_type: plan.plan_type,
+      billing_cycle: plan.billing_cycle,
+      coupon_id: coupon?.id || null,
+      subscription_change: change,
+      period_start: paidPeriod.start.toISOString(),
+      period_end: paidPeriod.end.toISOString(),
+      error: null
+    };
+    await finishPayment(payment.id, processedFields);
+
+    if (coupon) {
+      // The subscription is already extended, so a counting error must not fail the webhook
+      redeemCoupon(coupon).catch(error => console.error('❌ Error counting coupon redemption:', error));
+    }
+
+    issueReceipt({ ...payment, ...processedFields }, business)
+      .catch(error => console.error(`❌ Error issuing receipt for payment ${payment.id}:`, error));
+
+    res.json({ 
+      success: true, 
+      payment_id: payment.id,
+      subscription_id: subscription.id,
+      business_id: business.id,
+      plan: subscription.plan_type,
+      status: subscription.status,
+      change,
+      credit_days: creditDays,
+      period_end: subscription.current_period_end
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook error:', error);
+    await finishPayment(payment.id, { status: 'failed', error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Process subscription update
+ *
+ * - Same plan while the subscription is active or past_due: a renewal, the
+ *   period is extended from the current period end
+ * - Different plan with time left: the unused part of the old period is
+ *   credited as extra time on the new plan (proration)
+ * - Otherwise the new period starts now
+ *
+ * A subscription the owner cancelled is not touched: cancelling does not stop
+ * Grow's recurring charge, so the payment is left for review instead of
+ * silently reactivating it.
+ * @param {object} paymentData - { plan (catalog row), amount, transactionCode }
+ * @returns {{ subscription: object, change: string, creditDays: number, paidPeriod: object } | { error: string }}
+ *   change is new, renewal, upgrade, downgrade or reactivation; paidPeriod is
+ *   the time this payment bought ({ start, end })
+ */
+async function processSubscription(business, paymentData) {
+  const { plan, amount, transactionCode } = paymentData;
+  const planType = plan.plan_type;
+  const billingCycle = plan.billing_cycle;
+  const now = new Date();
+
+  // Check if subscription exists
+  const { data: existingSub, error: subError } = await supabase
+    .from('subscriptions')
+    .select('id, plan_id, plan_type, billing_cycle, price_per_cycle, status, current_period_start, current_period_end, cancelled_at')
+    .eq('business_id', business.id)
+    .maybeSingle();
+
+  if (subError) throw subError;
+
+  if (existingSub?.cancelled_at) {
+    return { error: 'Payment for a cancelled subscription; check the recurring charge in Grow' };
+  }
+
+  const period = getNewSubscriptionPeriod(existingSub, plan, now);
+  let result;
+  
+  if (existingSub) {
+    // Update existing subscription
+    const { data, error } = await supabase
+      .from('subscriptions')
+      .update({
+        plan_id: plan.id,
+        plan_type: planType,
+        billing_cycle: billingCycle,
+        price_per_cycle: amount || null,
+        status: 'active',
+        current_period_start: period.start.toISOString(),
+        current_period_end: period.end.toISOString(),
+        trial_ends_at: null, // Clear trial
+        external_subscription_id: transactionCode || null,
+        updated_at: now.toISOString()
+      })
+      .eq('id', existingSub.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    result = data;
+    console.log(`✅ Subscription updated (${period.change}${period.creditDays ? `, ${period.creditDays} days credited` : ''}):`, result.id);
+    
+  } else {
+    // Create new subscription
+    const { data, error } = await supabase
+      .from('subscriptions')
+      .insert({
+        business_id: business.id,
+        plan_id: plan.id,
+        plan_type: planType,
+        billing_cycle: billingCycle,
+        price_per_cycle: amount || null,
+        status: 'active',
+        current_period_start: period.start.toISOString(),
+        current_period_end: period.end.toISOString(),
+        trial_starts_at: null,
+        trial_ends_at: null,
+        external_subscription_id: transactionCode || null
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    result = data;
+    console.log('✅ Subscription created:', result.id);
+  }
+
+  return {
+    subscription: result,
+    change: period.change,
+    creditDays: period.creditDays,
+    paidPeriod: { start: period.paidFrom, end: period.end }
+  };
+}
+
+/**
+ * Add one billing cycle to a date
+ */
+function addBillingCycle(date, billingCycle) {
+  const result = new Date(date);
+  if (billingCycle === 'yearly') {
+    result.setFullYear(result.getFullYear() + 1);
+  } else {
+    result.setMonth(result.getMonth() + 1);
+  }
+  return result;
+}
+
+/**
+ * Work out the period a payment for `plan` buys, given the existing subscription
+ * start/end is the subscription's new period; paidFrom is where the paid time
+ * starts, which for an early renewal is the end of the running period.
+ * @returns {{ start: Date, end: Date, paidFrom: Date, change: string, creditDays: number }}
+ */
+function getNewSubscriptionPeriod(existingSub, plan, now) {
+  if (!existingSub) {
+    return { start: now, end: addBillingCycle(now, plan.billing_cycle), paidFrom: now, change: 'new', creditDays: 0 };
+  }
+
+  const periodStart = existingSub.current_period_start ? new Date(existingSub.current_period_start) : null;
+  const periodEnd = existingSub.current_period_end ? new Date(existingSub.current_period_end) : null;
+  const isPaid = ['active', 'past_due'].includes(existingSub.status) && periodEnd;
+  const samePlan = existingSub.plan_id
+    ? existingSub.plan_id === plan.id
+    : existingSub.plan_type === plan.plan_type && existingSub.billing_cycle === plan.billing_cycle;
+
+  if (isPaid && samePlan) {
+    // Paying early keeps the running period; paying in the grace period starts the next one where the last ended
+    return {
+      start: periodEnd > now ? periodStart || now : periodEnd,
+      end: addBillingCycle(periodEnd, plan.billing_cycle),
+      paidFrom: periodEnd,
+      change: 'renewal',
+      creditDays: 0
+    };
+  }
+
+  const start = now;
+  const cycleEnd = addBillingCycle(now, plan.billing_cycle);
+
+  if (!isPaid || periodEnd <= now || !periodStart) {
+    return { start, end: cycleEnd, paidFrom: start, change: 'reactivation', creditDays: 0 };
+  }
+
+  // Value of the unused time on the old plan, converted to time on the new plan
+  const oldPrice = Number(existingSub.price_per_cycle) || 0;
+  const newPrice = Number(plan.price) || 0;
+  const remainingShare = (periodEnd - now) / (periodEnd - periodStart);
+  const credit = oldPrice * remainingShare;
+  const creditMs = newPrice > 0 ? (credit / newPrice) * (cycleEnd - now) : 0;
+
+  const oldRate = oldPrice / (periodEnd - periodStart);
+  const newRate = newPrice / (cycleEnd - now);
+
+  return {
+    start,
+    end: new Date(cycleEnd.getTime() + creditMs),
+    paidFrom: start,
+    change: newRate >= oldRate ? 'upgrade' : 'downgrade',
+    creditDays: Math.round(creditMs / DAY_MS * 10) / 10
+  };
+}
+
+// ============================================================
+// RECEIPTS (Supabase Storage + WhatsApp link to the owner)
+// ============================================================
+
+const RECEIPTS_BUCKET = process.env.RECEIPTS_BUCKET || 'receipts';
+const RECEIPT_LINK_DAYS = parseInt(process.env.RECEIPT_LINK_DAYS) || 30;
+const RECEIPT_ISSUER = {
+  name: process.env.RECEIPT_ISSUER_NAME || 'LinedUp',
+  details: process.env.RECEIPT_ISSUER_DETAILS || ''
+};
+
+const PLAN_LABELS = { starter: 'Starter', pro: 'Pro', premium: 'Premium' };
+const BILLING_CYCLE_LABELS = { monthly: 'חודשי', yearly: 'שנתי' };
+
+/**
+ * Escape text for HTML
+ */
+function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a receipt as a standalone HTML document (Hebrew, RTL)
+ */
+function renderReceiptHTML(receipt) {
+  const formatDay = date => date ? format(parseISO(date), 'dd/MM/yyyy') : '';
+  const rows = [
+    ['מספר קבלה', receipt.receipt_number],
+    ['תאריך', formatDay(receipt.created_at)],
+    ['לקוח', receipt.business_name],
+    ['אימייל', receipt.business_email],
+    ['טלפון', receipt.business_phone],
+    ['מסלול', `${PLAN_LABELS[receipt.plan_type] || receipt.plan_type} (${BILLING_CYCLE_LABELS[receipt.billing_cycle] || receipt.billing_cycle})`],
+    ['תקופה', `${formatDay(receipt.period_start)} - ${formatDay(receipt.period_end)}`],
+    ['סכום', `₪${Number(receipt.amount).toFixed(2)}`],
+    ['אסמכתא', receipt.asmachta],
+    ['מספר עסקה', receipt.transaction_code]
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="he" dir="rtl">
+<head>
+<meta charset="utf-8">
+<title>קבלה ${escapeHTML(receipt.receipt_number)}</title>
+<style>
+  body { font-family: Arial, sans-serif; max-width: 640px; margin: 40px auto; color: #222; }
+  h1 { font-size: 24px; margin-bottom: 4px; }
+  .issuer { color: #666; margin-bottom: 24px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: right; padding: 8px; border-bottom: 1px solid #eee; }
+  th { width: 35%; color: #666; font-weight: normal; }
+</style>
+</head>
+<body>
+<h1>קבלה מס' ${escapeHTML(receipt.receipt_number)}</h1>
+<div class="issuer">${escapeHTML(RECEIPT_ISSUER.name)}${RECEIPT_ISSUER.details ? ` · ${escapeHTML(RECEIPT_ISSUER.details)}` : ''}</div>
+<table>
+${rows.map(([label, value]) => `  <tr><th>${escapeHTML(label)}</th><td>${escapeHTML(value)}</td></tr>`).join('\n')}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Signed download link for a stored receipt
+ */
+async function getReceiptDownloadUrl(storagePath) {
+  const { data, error } = await supabase.storage
+    .from(RECEIPTS_BUCKET)
+    .createSignedUrl(storagePath, RECEIPT_LINK_DAYS * 24 * 60 * 60);
+
+  if (error) throw error;
+  return data.signedUrl;
+}
+
+/**
+ * Create the receipt of a processed payment, store it and send it to the owner
+ * Plan and period come from the payment (the period it paid for, not the
+ * subscription's current one). Safe to call again for the same payment:
+ * finished steps are skipped.
+ * @returns {object} The receipt row
+ */
+async function issueReceipt(payment, business) {
+  let { data: receipt, error } = await supabase
+    .from('receipts')
+    .select()
+    .eq('payment_id', payment.id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!receipt) {
+    // receipt_number comes from an identity column, so numbers are sequential
+    const { data, error: insertError } = await supabase
+      .from('receipts')
+      .insert({
+        payment_id: payment.id,
+        business_id: business.id,
+        subscription_id: payment.subscription_id,
+        business_name: business.name,
+        business_email: business.email || null,
+        business_phone: business.phone || null,
+        plan_type: payment.plan_type,
+        billing_cycle: payment.billing_cycle,
+        amount: payment.amount,
+        asmachta: payment.asmachta,
+        transaction_code: payment.transaction_code,
+        period_start: payment.period_start,
+        period_end: payment.period_end
+      })
+      .select()
+      .single();
+
+    if (insertError) throw insertError;
+    receipt = data;
+  }
+
+  return completeReceipt(receipt, business);
+}
+
+/**
+ * Store the receipt document and send it, whichever is not done yet
+ * @returns {object} The receipt row
+ */
+async function completeReceipt(receipt, business) {
+  if (!receipt.storage_path) {
+    const storagePath = `${receipt.business_id}/${receipt.receipt_number}.html`;
+
+    const { error: uploadError } = await supabase.storage
+      .from(RECEIPTS_BUCKET)
+      .upload(storagePath, Buffer.from(renderReceiptHTML(receipt), 'utf-8'), {
+        contentType: 'text/html; charset=utf-8',
+        upsert: true
+      });
+
+    if (uploadError) throw uploadError;
+
+    const { error: updateError } = await supabase
+      .from('receipts')
+      .update({ storage_path: storagePath })
+      .eq('id', receipt.id);
+
+    if (updateError) throw updateError;
+    receipt = { ...receipt, storage_path: storagePath };
+    console.log(`🧾 Receipt ${receipt.receipt_number} stored for business ${receipt.business_id}`);
+  }
+
+  if (!receipt.sent_at && !receipt.send_failed_at && await sendReceipt(receipt, business)) {
+    receipt = { ...receipt, sent_at: new Date().toISOString() };
+  }
+
+  return receipt;
+}
+
+/**
+ * Send a stored receipt to the business owner over WhatsApp
+ * Without an owner phone or a subscription template the receipt stays unsent,
+ * and retryReceipts tries again later. A send the queue gave up on (dead) is
+ * final: it is marked send_failed_at and not tried again.
+ * @returns {boolean} Whether the receipt was sent
+ */
+async function sendReceipt(receipt, business) {
+  if (!business?.phone) {
+    console.log(`⚠️ No owner phone for business ${receipt.business_id}, receipt ${receipt.receipt_number} not sent`);
+    return false;
+  }
+
+  if (!messagingProvider.templateId('subscription')) {
+    console.log(`⚠️ No subscription template configured, receipt ${receipt.receipt_number} not sent`);
+    return false;
+  }
+
+  const url = await getReceiptDownloadUrl(receipt.storage_path);
+
+  const queued = await enqueueAndSend({
+    to: business.phone,
+    template: 'subscription',
+    variables: {
+      "1": String(business.name || 'בעל העסק'),
+      "2": `התקבל תשלום של ₪${Number(receipt.amount).toFixed(2)} עבור מסלול ${PLAN_LABELS[receipt.plan_type] || receipt.plan_type}. קבלה מס' ${receipt.receipt_number}: ${url}`
+    },
+    context: { businessId: receipt.business_id },
+    idempotencyKey: `receipt:${receipt.id}`
+  });
+
+  if (queued.message.status === 'dead') {
+    console.error(`❌ Receipt ${receipt.receipt_number} could not be sent: ${queued.message.last_error}`);
+    await supabase.from('receipts').update({ send_failed_at: new Date().toISOString() }).eq('id', receipt.id);
+    return false;
+  }
+
+  await supabase.from('receipts').update({ sent_at: new Date().toISOString() }).eq('id', receipt.id);
+  return true;
+}
+
+/**
+ * Finish receipts left behind: processed payments without a receipt, receipts
+ * whose document was not stored, and receipts not sent yet (no template or
+ * owner phone at the time). Runs with the subscription job, for up to RECEIPT_LINK_DAYS.
+ */
+async function retryReceipts() {
+  const since = new Date(Date.now() - RECEIPT_LINK_DAYS * DAY_MS).toISOString();
+
+  const { data: payments, error: paymentsError } = await supabase
+    .from('payments')
+    .select('id, subscription_id, plan_type, billing_cycle, amount, asmachta, transaction_code, period_start, period_end, receipts (id), businesses (id, name, email, phone)')
+    .eq('status', 'processed')
+    .eq('event_type', 'payment')
+    .gt('processed_at', since)
+    .order('id', { ascending: true })
+    .limit(100);
+
+  if (paymentsError) throw paymentsError;
+
+  for (const { receipts, businesses: business, ...payment } of payments || []) {
+    // payment_id is unique, so the embedded receipt may come as a row or a list
+    const hasReceipt = Array.isArray(receipts) ? receipts.length > 0 : !!receipts;
+    if (hasReceipt || !business) continue;
+
+    try {
+      await issueReceipt(payment, business);
+    } catch (issueError) {
+      console.error(`❌ Error issuing receipt for payment ${payment.id}:`, issueError.message);
+    }
+  }
+
+  const { data: receipts, error } = await supabase
+    .from('receipts')
+    .select('*, businesses (name, phone)')
+    .is('sent_at', null)
+    .is('send_failed_at', null)
+    .gt('created_at', since)
+    .order('receipt_number', { ascending: true })
+    .limit(100);
+
+  if (error) throw error;
+
+  for (const { businesses: business, ...receipt } of receipts || []) {
+    try {
+      const completed = await completeReceipt(receipt, business);
+      if (completed.sent_at) {
+        console.log(`🧾 Receipt ${receipt.receipt_number} sent`);
+      }
+    } catch (retryError) {
+      console.error(`❌ Error finishing receipt ${receipt.receipt_number}:`, retryError.message);
+    }
+  }
+}
 
-    const result = await sendWhatsAppMessage(
-      phone,
-      TWILIO_CONFIG.cancellationTemplateSid,
-      {
-        "1": String(clientName || 'לקוח'),
-        "2": String(serviceName || 'התור'),
-        "3": String(formattedDate || '')
-      }
-    );
+/**
+ * Receipts of a business, newest first, with download links
+ * GET /api/receipts/:businessId?limit=50&offset=0
+ */
+app.get('/api/receipts/:businessId', requireBusinessAuth(), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = parseInt(req.query.offset) || 0;
+
+  try {
+    const { data, error } = await supabase
+      .from('receipts')
+      .select('id, receipt_number, plan_type, billing_cycle, amount, asmachta, transaction_code, period_start, period_end, storage_path, created_at, sent_at, send_failed_at')
+      .eq('business_id', req.businessId)
+      .order('receipt_number', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    const receipts = await Promise.all((data || []).map(async ({ storage_path, ...receipt }) => ({
+      ...receipt,
+      download_url: storage_path ? await getReceiptDownloadUrl(storage_path) : null
+    })));
 
-    console.log('✅ Cancellation notification sent');
-    res.json({ success: true, messageSid: result.sid });
+    res.json({ receipts });
   } catch (error) {
-    console.error('❌ Error sending cancellation:', error);
+    console.error('❌ Error fetching receipts:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// ============================================================
+// SUBSCRIPTION STATUS CHECK ENDPOINT
+// ============================================================
+
 /**
- * Send booking update/cancellation
- * POST /api/send-update
+ * Status of a subscription at `now`
+ * The subscription job updates the stored status; this covers the time until its next run.
  */
-app.post('/api/send-update', async (req, res) => {
-  console.log('📥 Update request:', req.body);
-  
-  const { phone, clientName, businessName, date, time, status, serviceName } = req.body;
-  
-  if (!phone || !clientName || !businessName) {
-    return res.status(400).json({ error: 'Missing required fields' });
+function getEffectiveSubscriptionStatus(subscription, now) {
+  const periodEnd = subscription.current_period_end ? new Date(subscription.current_period_end) : null;
+  const trialEnd = subscription.trial_ends_at ? new Date(subscription.trial_ends_at) : null;
+
+  if (subscription.status === 'trial' && trialEnd && now > trialEnd) {
+    return 'expired';
+  }
+
+  if ((subscription.status === 'active' || subscription.status === 'past_due') && periodEnd && now > periodEnd) {
+    if (subscription.cancelled_at) return 'cancelled';
+    return now > getGraceEnd(periodEnd) ? 'expired' : 'past_due';
   }
+
+  return subscription.status;
+}
+
+/**
+ * Check subscription status
+ * GET /api/subscription/:businessId
+ */
+app.get('/api/subscription/:businessId', async (req, res) => {
+  const { businessId } = req.params;
   
   try {
-    let formattedDate = '';
-    let formattedTime = '';
-    
-    if (date) {
-      try {
-        formattedDate = format(parseISO(date), 'd.M.yyyy');
-      } catch (e) {
-        formattedDate = date;
-      }
-    }
-    
-    if (time) {
-      formattedTime = time.substring(0, 5);
+    const { data, error } = await supabase
+      .from('subscriptions')
+      .select('*')
+      .eq('business_id', businessId)
+      .single();
+
+    if (error || !data) {
+      return res.json({ 
+        plan: 'free', 
+        status: 'none',
+        message: 'No subscription found' 
+      });
     }
-    
-    // Status text
-    const statusText = status === 'cancelled' ? 'בוטל' : 'עודכן';
-    
-    const result = await sendWhatsAppMessage(
-      phone,
-      TWILIO_CONFIG.updateTemplateSid,
-      {
-        "1": String(clientName),
-        "2": String(businessName),
-        "3": String(statusText),
-        "4": String(formattedDate || ''),
-        "5": String(formattedTime || '')
-      }
-    );
-    
-    console.log('✅ Update sent');
-    res.json({ success: true, messageSid: result.sid });
+
+    const periodEnd = data.current_period_end ? new Date(data.current_period_end) : null;
+    const effectiveStatus = getEffectiveSubscriptionStatus(data, new Date());
+
+    res.json({
+      plan: data.plan_type,
+      status: effectiveStatus,
+      billing_cycle: data.billing_cycle,
+      current_period_end: data.current_period_end,
+      trial_ends_at: data.trial_ends_at,
+      grace_ends_at: effectiveStatus === 'past_due' ? getGraceEnd(periodEnd).toISOString() : null,
+      cancel_at_period_end: effectiveStatus === 'active' && !!data.cancelled_at,
+      cancelled_at: data.cancelled_at,
+      cancel_reason: data.cancel_reason
+    });
+
   } catch (error) {
-    console.error('❌ Error sending update:', error);
+    console.error('❌ Error checking subscription:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Send waiting list notification
- * POST /api/send-waiting-list
+ * Cancel a subscription at the end of the current period (owner JWT only)
+ * POST /api/subscription/:businessId/cancel
+ * Body: { reason: "..." }
+ *
+ * The subscription stays active until current_period_end; the subscription
+ * job then marks it cancelled. Grow's recurring charge is not stopped here;
+ * later payments go to review (see processSubscription).
  */
-app.post('/api/send-waiting-list', async (req, res) => {
-  console.log('📥 Waiting list notification request:', req.body);
-  
-  const { phone, clientName, date, serviceName } = req.body;
-  
-  if (!phone || !clientName || !date) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
-  
+app.post('/api/subscription/:businessId/cancel', requireBusinessAuth({ allowApiKey: false }), async (req, res) => {
+  const now = new Date().toISOString();
+
   try {
-    let formattedDate;
-    try {
-      formattedDate = format(parseISO(date), 'd.M.yyyy');
-    } catch (e) {
-      formattedDate = date;
+    const { data, error } = await supabase
+      .from('subscriptions')
+      .update({ cancelled_at: now, cancel_reason: req.body.reason || null, updated_at: now })
+      .eq('business_id', req.businessId)
+      .in('status', ['trial', 'active', 'past_due'])
+      .is('cancelled_at', null)
+      .select('id, plan_type, status, current_period_end, trial_ends_at, cancelled_at, cancel_reason')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(409).json({ error: 'No active subscription, or it is already cancelled' });
     }
-    
-    const result = await sendWhatsAppMessage(
-      phone,
-      TWILIO_CONFIG.waitingListTemplateSid,
-      {
-        "1": String(clientName),
-        "2": String(formattedDate),
-        "3": String(serviceName || 'תור')
-      }
-    );
-    
-    console.log('✅ Waiting list notification sent');
-    res.json({ success: true, messageSid: result.sid });
+
+    console.log(`🛑 Subscription ${data.id} cancelled for business ${req.businessId}`);
+    res.json({
+      success: true,
+      subscription_id: data.id,
+      status: data.status,
+      ends_at: data.status === 'trial' ? data.trial_ends_at : data.current_period_end,
+      cancelled_at: data.cancelled_at,
+      cancel_reason: data.cancel_reason
+    });
   } catch (error) {
-    console.error('❌ Error sending waiting list notification:', error);
+    console.error('❌ Error cancelling subscription:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Send broadcast message
- * POST /api/send-broadcast
+ * Message usage of a business in the current usage period, against its plan
+ * GET /api/usage/:businessId
  */
-app.post('/api/send-broadcast', async (req, res) => {
-  console.log('📥 Broadcast request');
-  
-  const { recipients, message } = req.body;
-  
-  if (!recipients || !Array.isArray(recipients) || recipients.length === 0) {
-    return res.status(400).json({ error: 'Missing or invalid recipients' });
-  }
-  
-  if (!message) {
-    return res.status(400).json({ error: 'Missing message' });
-  }
-  
+app.get('/api/usage/:businessId', requireBusinessAuth(), async (req, res) => {
   try {
-    let successCount = 0;
-    let failCount = 0;
-    
-    for (const recipient of recipients) {
-      try {
-        await sendWhatsAppMessage(
-          recipient.phone,
-          TWILIO_CONFIG.broadcastTemplateSid,
-          {
-            "1": String(recipient.name || 'לקוח יקר'),
-            "2": String(message)
-          }
-        );
-        successCount++;
-      } catch (e) {
-        failCount++;
-      }
-    }
-    
-    console.log(`✅ Broadcast complete: ${successCount} sent, ${failCount} failed`);
-    res.json({ success: true, sent: successCount, failed: failCount });
+    const { plan, status, entitlements, period } = await getBusinessEntitlements(req.businessId);
+    const used = await countBusinessMessages(req.businessId, period);
+    const limit = entitlements.monthlyMessages;
+
+    res.json({
+      plan,
+      status,
+      period: { start: period.start.toISOString(), end: period.end.toISOString() },
+      messages: {
+        used,
+        limit,
+        remaining: limit === null ? null : Math.max(limit - used, 0)
+      },
+      entitlements
+    });
   } catch (error) {
-    console.error('❌ Error sending broadcast:', error);
+    console.error('❌ Error fetching usage:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // ============================================================
-// GROW PAYMENT WEBHOOK (Direct from Grow)
+// SUBSCRIPTION LIFECYCLE (renewal reminders, grace period, expiry)
 // ============================================================
 
 /**
- * Webhook endpoint for Grow payments
- * POST /api/webhooks/grow
- * 
- * Actual payload from Grow:
- * {
- *   "webhookKey": "xxx",
- *   "transactionCode": "xxx",
- *   "transactionType": "Bit",
- *   "paymentSum": "490",
- *   "paymentDesc": "pro-yearly",  // Plan name set in payment link
- *   "fullName": "יקיר כהן",
- *   "payerPhone": "0522096448",
- *   "payerEmail": "email@example.com",
- *   "asmachta": "123456",
- *   "paymentSource": "Payment Links",
- *   ...
- * }
+ * Parse a comma separated list of day counts ("7,1" → [7, 1])
  */
-app.post('/api/webhooks/grow', async (req, res) => {
-  console.log('💳 Grow webhook received:', JSON.stringify(req.body, null, 2));
-  
-  // Extract Grow's actual field names
-  const { 
-    payerEmail,
-    payerPhone,
-    fullName,
-    paymentSum,
-    paymentDesc,  // This should contain plan info like "pro-yearly" or "starter-monthly"
-    asmachta,
-    transactionCode
-  } = req.body;
+function parseDayList(value, defaults) {
+  const days = String(value || '')
+    .split(',')
+    .map(d => parseInt(d))
+    .filter(d => d > 0);
+  return (days.length > 0 ? days : defaults).sort((a, b) => a - b);
+}
 
-  // Determine plan and billing cycle from exact payment amount
-  const amount = parseFloat(paymentSum) || 0;
-  let plan = 'starter';  // Default
-  let billingCycle = 'monthly';  // Default
-  
-  // Yearly plans (one-time payments)
-  if (amount === 490) {
-    plan = 'starter';
-    billingCycle = 'yearly';
-  } else if (amount === 790) {
-    plan = 'pro';
-    billingCycle = 'yearly';
-  } else if (amount === 1290) {
-    plan = 'premium';
-    billingCycle = 'yearly';
-  }
-  // Monthly plans (recurring payments)
-  else if (amount === 49) {
-    plan = 'starter';
-    billingCycle = 'monthly';
-  } else if (amount === 79) {
-    plan = 'pro';
-    billingCycle = 'monthly';
-  } else if (amount === 129) {
-    plan = 'premium';
-    billingCycle = 'monthly';
-  }
-  // Fallback: try to parse from description if amount doesn't match
-  else if (paymentDesc) {
-    const desc = paymentDesc.toLowerCase();
-    
-    // Extract plan
-    if (desc.includes('premium')) plan = 'premium';
-    else if (desc.includes('pro')) plan = 'pro';
-    else if (desc.includes('starter')) plan = 'starter';
-    
-    // Extract billing cycle
-    if (desc.includes('month') || desc.includes('חודש')) billingCycle = 'monthly';
-    else if (desc.includes('year') || desc.includes('annual') || desc.includes('שנת')) billingCycle = 'yearly';
+// Days before current_period_end / trial_ends_at on which the owner is reminded
+const SUBSCRIPTION_RENEWAL_REMINDER_DAYS = parseDayList(process.env.SUBSCRIPTION_RENEWAL_REMINDER_DAYS, [7, 1]);
+const SUBSCRIPTION_TRIAL_REMINDER_DAYS = parseDayList(process.env.SUBSCRIPTION_TRIAL_REMINDER_DAYS, [3, 1]);
+// Days after current_period_end during which an unpaid subscription is past_due before it expires
+const SUBSCRIPTION_GRACE_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS) || 3;
+const SUBSCRIPTION_JOB_INTERVAL_MINUTES = parseInt(process.env.SUBSCRIPTION_JOB_INTERVAL_MINUTES) || 60;
+
+const SUBSCRIPTION_FIELDS = 'id, business_id, plan_type, status, current_period_end, trial_ends_at, businesses (name, phone)';
+
+/**
+ * End of the grace period of a subscription whose period ended
+ */
+function getGraceEnd(periodEnd) {
+  return new Date(new Date(periodEnd).getTime() + SUBSCRIPTION_GRACE_DAYS * DAY_MS);
+}
+
+/**
+ * The reminder a date is due for: the smallest configured day count that is
+ * not less than the days left. A run that is late still sends each reminder once.
+ * @returns {number|null} The reminder's day count, or null if none is due
+ */
+function getDueReminderDays(date, reminderDays, now) {
+  const daysLeft = Math.ceil((new Date(date).getTime() - now.getTime()) / DAY_MS);
+  if (daysLeft <= 0) return null;
+  return reminderDays.find(days => days >= daysLeft) ?? null;
+}
+
+/**
+ * Send a subscription notice to the business owner over WhatsApp
+ * The key makes every notice idempotent, so repeated runs do not send it twice.
+ */
+async function notifySubscriptionOwner(subscription, key, text) {
+  const business = subscription.businesses;
+
+  if (!business?.phone) {
+    console.log(`⚠️ No owner phone for business ${subscription.business_id}, skipping subscription notice`);
+    return;
+  }
+
+  if (!messagingProvider.templateId('subscription')) {
+    console.log(`⚠️ No subscription template configured, skipping notice ${key}`);
+    return;
+  }
+
+  try {
+    const queued = await enqueueAndSend({
+      to: business.phone,
+      template: 'subscription',
+      variables: {
+        "1": String(business.name || 'בעל העסק'),
+        "2": text
+      },
+      context: { businessId: subscription.business_id },
+      idempotencyKey: `subscription:${key}`
+    });
+
+    if (!queued.duplicate) {
+      console.log(`✅ Subscription notice ${key} ${queued.message.status}`);
+    }
+  } catch (error) {
+    console.error(`❌ Error sending subscription notice ${key}:`, error);
   }
+}
+
+/**
+ * Move subscriptions to a new status, only if they are still in the expected one
+ * @returns {object[]} The subscriptions that changed
+ */
+async function transitionSubscriptions(filter, fromStatus, toStatus) {
+  const { data, error } = await filter(
+    supabase
+      .from('subscriptions')
+      .update({ status: toStatus, updated_at: new Date().toISOString() })
+      .eq('status', fromStatus)
+  ).select(SUBSCRIPTION_FIELDS);
+
+  if (error) throw error;
+
+  for (const subscription of data || []) {
+    console.log(`🔄 Subscription ${subscription.id} (${subscription.businesses?.name}): ${fromStatus} → ${toStatus}`);
+  }
+  return data || [];
+}
+
+/**
+ * Send the renewal or trial reminders that are due
+ */
+async function sendSubscriptionReminders(status, dateField, reminderDays, now) {
+  const horizon = new Date(now.getTime() + Math.max(...reminderDays) * DAY_MS).toISOString();
+
+  const { data, error } = await supabase
+    .from('subscriptions')
+    .select(SUBSCRIPTION_FIELDS)
+    .eq('status', status)
+    .is('cancelled_at', null)
+    .gt(dateField, now.toISOString())
+    .lte(dateField, horizon);
+
+  if (error) throw error;
+
+  for (const subscription of data || []) {
+    const date = subscription[dateField];
+    const days = getDueReminderDays(date, reminderDays, now);
+    if (days === null) continue;
+
+    const formattedDate = format(parseISO(date), 'dd/MM/yyyy');
+    const text = status === 'trial'
+      ? `תקופת הניסיון שלך ב-LinedUp מסתיימת ב-${formattedDate}. כדי להמשיך ליהנות מהשירות, בחרו מסלול באפליקציה.`
+      : `המנוי שלך ב-LinedUp (${subscription.plan_type}) מתחדש ב-${formattedDate}. ודאו שפרטי התשלום מעודכנים כדי שהשירות לא ייפסק.`;
+
+    await notifySubscriptionOwner(subscription, `${status}:${subscription.id}:${date}:${days}d`, text);
+  }
+}
+
+/**
+ * Update subscription statuses and send owner notices
+ * - cancelled at period end, past current_period_end → cancelled
+ * - active past current_period_end → past_due (grace period)
+ * - past_due past the grace period → expired
+ * - trial past trial_ends_at → expired
+ * - reminders before the renewal and before the trial ends
+ * - receipts that could not be sent before
+ */
+async function runSubscriptionJob() {
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const graceStartedBefore = new Date(now.getTime() - SUBSCRIPTION_GRACE_DAYS * DAY_MS).toISOString();
+
+  // Cancelled subscriptions end with their period, without a grace period
+  for (const fromStatus of ['active', 'past_due']) {
+    const cancelled = await transitionSubscriptions(
+      q => q.lt('current_period_end', nowIso).not('cancelled_at', 'is', null),
+      fromStatus,
+      'cancelled'
+    );
+    for (const subscription of cancelled) {
+      await notifySubscriptionOwner(
+        subscription,
+        `cancelled:${subscription.id}:${subscription.current_period_end}`,
+        'המנוי שלך ב-LinedUp הסתיים בהתאם לבקשת הביטול. תמיד אפשר לחדש אותו באפליקציה.'
+      );
+    }
+  }
+
+  const pastDue = await transitionSubscriptions(
+    q => q.lt('current_period_end', nowIso).is('cancelled_at', null),
+    'active',
+    'past_due'
+  );
+  for (const subscription of pastDue) {
+    const graceEnd = format(getGraceEnd(subscription.current_period_end), 'dd/MM/yyyy');
+    await notifySubscriptionOwner(
+      subscription,
+      `past_due:${subscription.id}:${subscription.current_period_end}`,
+      `לא התקבל תשלום לחידוש המנוי שלך ב-LinedUp. השירות ימשיך לפעול עד ${graceEnd}; לאחר מכן המנוי יפוג.`
+    );
+  }
+
+  const expired = await transitionSubscriptions(q => q.lt('current_period_end', graceStartedBefore), 'past_due', 'expired');
+  for (const subscription of expired) {
+    await notifySubscriptionOwner(
+      subscription,
+      `expired:${subscription.id}:${subscription.current_period_end}`,
+      'המנוי שלך ב-LinedUp פג. כדי לחדש את השירות, בחרו מסלול באפליקציה.'
+    );
+  }
+
+  const trialsEnded = await transitionSubscriptions(q => q.lt('trial_ends_at', nowIso), 'trial', 'expired');
+  for (const subscription of trialsEnded) {
+    await notifySubscriptionOwner(
+      subscription,
+      `trial_expired:${subscription.id}:${subscription.trial_ends_at}`,
+      'תקופת הניסיון שלך ב-LinedUp הסתיימה. כדי להמשיך ליהנות מהשירות, בחרו מסלול באפליקציה.'
+    );
+  }
+
+  await sendSubscriptionReminders('active', 'current_period_end', SUBSCRIPTION_RENEWAL_REMINDER_DAYS, now);
+  await sendSubscriptionReminders('trial', 'trial_ends_at', SUBSCRIPTION_TRIAL_REMINDER_DAYS, now);
+  await retryReceipts();
+}
+
+/**
+ * Run the subscription lifecycle job now and then periodically
+ */
+function scheduleSubscriptionJob() {
+  const run = () => runSubscriptionJob().catch(error => console.error('❌ Subscription job error:', error));
+
+  console.log(`⏰ Subscription job every ${SUBSCRIPTION_JOB_INTERVAL_MINUTES} min (grace period ${SUBSCRIPTION_GRACE_DAYS} days)`);
+  run();
+  setInterval(run, SUBSCRIPTION_JOB_INTERVAL_MINUTES * 60 * 1000);
+}
+
+// ============================================================
+// ICS CALENDAR FEED
+// ============================================================
+
+// Days of past bookings kept in the feed, so today's earlier events do not disappear
+const ICS_PAST_DAYS = parseInt(process.env.ICS_PAST_DAYS ?? '7') || 0;
+
+// Booking statuses shown in the feed; cancelled/rejected ones are published as STATUS:CANCELLED
+const ICS_BOOKING_STATUSES = ['approved', 'pending', 'confirmed', 'cancelled', 'rejected'];
+const ICS_CANCELLED_STATUSES = ['cancelled', 'rejected'];
+
+// Signed "add to calendar" links for single bookings
+const BOOKING_ICS_SECRET = process.env.BOOKING_ICS_SECRET || SUPABASE_SERVICE_KEY;
+const BOOKING_ICS_LINK_DAYS = parseInt(process.env.BOOKING_ICS_LINK_DAYS) || 90;
+
+/**
+ * Hash a calendar feed token for storage and lookup
+ */
+function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Public URL of a business's calendar feed
+ */
+function getCalendarFeedUrl(req, businessId, token) {
+  const baseUrl = PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/cal/${businessId}/${token}.ics`;
+}
+
+/**
+ * Find the active feed token of a business
+ * @returns {object|null} The token row, or null if the token is unknown or revoked
+ */
+async function findCalendarFeedToken(businessId, token) {
+  const { data, error } = await supabase
+    .from('calendar_feed_tokens')
+    .select('id, business_id')
+    .eq('business_id', businessId)
+    .eq('token_hash', hashFeedToken(token))
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  // A business id that is not a UUID cannot have a token
+  if (error?.code === '22P02') return null;
+  if (error) throw error;
+  return data;
+}
 
-  // Validate required fields
-  if (!payerEmail) {
-    console.error('❌ Missing payerEmail');
-    return res.status(400).json({ error: 'Missing required field: payerEmail' });
-  }
+/**
+ * Record a calendar feed request
+ * Logging must never fail the feed, so errors are only reported
+ */
+function logCalendarFeedAccess(req, businessId, tokenId, status) {
+  supabase
+    .from('calendar_feed_access_log')
+    .insert({
+      business_id: businessId,
+      token_id: tokenId || null,
+      status,
+      ip: req.ip || null,
+      user_agent: req.get('User-Agent') || null
+    })
+    .then(({ error }) => {
+      if (error) console.error('❌ Error logging calendar feed access:', error);
+    });
+}
 
-  console.log(`📋 Parsed: plan=${plan}, cycle=${billingCycle}, amount=${amount}`);
+// Rejected feed requests are logged at most once per business and IP in this window
+const CALENDAR_FEED_REJECT_LOG_MINUTES = 10;
+const CALENDAR_FEED_REJECT_LOG_MAX_KEYS = 10000;
+const calendarFeedRejectsLogged = new Map();
 
-  try {
-    // Find business by email
-    const { data: business, error: businessError } = await supabase
-      .from('businesses')
-      .select('id, name, email')
-      .eq('email', payerEmail.toLowerCase().trim())
-      .single();
+/**
+ * Record a feed request with an unknown or revoked token
+ * Anyone can make these, so only businesses that exist are logged, and
+ * repeated requests from the same IP are throttled.
+ */
+function logRejectedCalendarFeedAccess(req, businessId) {
+  const now = Date.now();
+  const windowMs = CALENDAR_FEED_REJECT_LOG_MINUTES * 60 * 1000;
+  const key = `${businessId}:${req.ip}`;
 
-    if (businessError || !business) {
-      console.error('❌ Business not found for email:', payerEmail);
-      
-      // Try to find by phone as fallback
-      if (payerPhone) {
-        // Try with original format
-        let { data: businessByPhone, error: phoneError } = await supabase
-          .from('businesses')
-          .select('id, name, email')
-          .eq('phone', payerPhone)
-          .single();
-        
-        // Try with normalized format if not found
-        if (phoneError || !businessByPhone) {
-          const normalizedPhone = normalizePhoneNumber(payerPhone);
-          const phoneVariants = [
-            payerPhone,
-            '0' + payerPhone.slice(-9),
-            payerPhone.replace(/^972/, '0'),
-            '+972' + payerPhone.slice(-9)
-          ];
-          
-          for (const phoneVariant of phoneVariants) {
-            const { data: biz, error: err } = await supabase
-              .from('businesses')
-              .select('id, name, email')
-              .eq('phone', phoneVariant)
-              .single();
-            
-            if (!err && biz) {
-              businessByPhone = biz;
-              break;
-            }
-          }
-        }
-        
-        if (businessByPhone) {
-          console.log('✅ Found business by phone instead:', businessByPhone.name);
-          return await processSubscription(businessByPhone, { plan, billingCycle, amount, transactionCode }, res);
-        }
-      }
-      
-      return res.status(404).json({ error: 'Business not found', email: payerEmail });
+  if (now - (calendarFeedRejectsLogged.get(key) || 0) < windowMs) return;
+
+  if (calendarFeedRejectsLogged.size >= CALENDAR_FEED_REJECT_LOG_MAX_KEYS) {
+    for (const [loggedKey, loggedAt] of calendarFeedRejectsLogged) {
+      if (now - loggedAt >= windowMs) calendarFeedRejectsLogged.delete(loggedKey);
     }
+    if (calendarFeedRejectsLogged.size >= CALENDAR_FEED_REJECT_LOG_MAX_KEYS) return;
+  }
+  calendarFeedRejectsLogged.set(key, now);
 
-    console.log('✅ Found business:', business.name);
-    return await processSubscription(business, { plan, billingCycle, amount, transactionCode }, res);
+  supabase
+    .from('businesses')
+    .select('id')
+    .eq('id', businessId)
+    .maybeSingle()
+    .then(({ data }) => {
+      if (data) logCalendarFeedAccess(req, businessId, null, 404);
+    });
+}
 
-  } catch (error) {
-    console.error('❌ Webhook error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+/**
+ * Whether a business has created a feed token (active or revoked)
+ */
+async function hasCalendarFeedTokens(businessId) {
+  const { data, error } = await supabase
+    .from('calendar_feed_tokens')
+    .select('id')
+    .eq('business_id', businessId)
+    .limit(1);
+
+  if (error?.code === '22P02') return false;
+  if (error) throw error;
+  return data.length > 0;
+}
 
 /**
- * Process subscription update
+ * Revoke the business's active feed tokens
+ * @returns {number} How many tokens were revoked
  */
-async function processSubscription(business, paymentData, res) {
-  const { plan, billingCycle, amount, transactionCode } = paymentData;
-  
-  // Normalize plan name
-  const planType = plan.toLowerCase().trim();
-  
-  // Calculate period dates
-  const now = new Date();
-  const periodEnd = new Date(now);
-  if (billingCycle === 'yearly') {
-    periodEnd.setFullYear(periodEnd.getFullYear() + 1);
-  } else {
-    periodEnd.setMonth(periodEnd.getMonth() + 1);
-  }
+async function revokeCalendarFeedTokens(businessId) {
+  const { data, error } = await supabase
+    .from('calendar_feed_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('business_id', businessId)
+    .is('revoked_at', null)
+    .select('id');
 
-  // Check if subscription exists
-  const { data: existingSub, error: subError } = await supabase
-    .from('subscriptions')
-    .select('id')
-    .eq('business_id', business.id)
-    .single();
+  if (error) throw error;
+  return data?.length || 0;
+}
 
-  let result;
-  
-  if (existingSub) {
-    // Update existing subscription
-    const { data, error } = await supabase
-      .from('subscriptions')
-      .update({
-        plan_type: planType,
-        billing_cycle: billingCycle,
-        price_per_cycle: amount || null,
-        status: 'active',
-        current_period_start: now.toISOString(),
-        current_period_end: periodEnd.toISOString(),
-        trial_ends_at: null, // Clear trial
-        cancelled_at: null,
-        cancel_reason: null,
-        external_subscription_id: transactionCode || null,
-        updated_at: now.toISOString()
-      })
-      .eq('id', existingSub.id)
-      .select()
-      .single();
+/**
+ * Create a new feed token and revoke the old one (owner JWT only)
+ * POST /api/businesses/:businessId/calendar-feed/rotate
+ *
+ * The URL with the token is only returned once; only its hash is stored.
+ */
+app.post('/api/businesses/:businessId/calendar-feed/rotate', requireBusinessAuth({ allowApiKey: false }), async (req, res) => {
+  const token = crypto.randomBytes(24).toString('base64url');
+
+  try {
+    const revoked = await revokeCalendarFeedTokens(req.businessId);
 
-    if (error) throw error;
-    result = data;
-    console.log('✅ Subscription updated:', result.id);
-    
-  } else {
-    // Create new subscription
     const { data, error } = await supabase
-      .from('subscriptions')
+      .from('calendar_feed_tokens')
       .insert({
-        business_id: business.id,
-        plan_type: planType,
-        billing_cycle: billingCycle,
-        price_per_cycle: amount || null,
-        status: 'active',
-        current_period_start: now.toISOString(),
-        current_period_end: periodEnd.toISOString(),
-        trial_starts_at: null,
-        trial_ends_at: null,
-        external_subscription_id: transactionCode || null
+        business_id: req.businessId,
+        token_hash: hashFeedToken(token),
+        token_prefix: token.slice(0, 6),
+        created_by: req.auth.userId
       })
-      .select()
+      .select('id, token_prefix, created_at')
       .single();
 
     if (error) throw error;
-    result = data;
-    console.log('✅ Subscription created:', result.id);
-  }
-
-  res.json({ 
-    success: true, 
-    subscription_id: result.id,
-    business_id: business.id,
-    plan: planType,
-    status: 'active',
-    period_end: periodEnd.toISOString()
-  });
-}
 
-// ============================================================
-// SUBSCRIPTION STATUS CHECK ENDPOINT
-// ============================================================
+    console.log(`📅 Calendar feed token rotated for business ${req.businessId} (${revoked} revoked)`);
+    res.json({ success: true, url: getCalendarFeedUrl(req, req.businessId, token), token: data, revoked });
+  } catch (error) {
+    console.error('❌ Error rotating calendar feed token:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
 /**
- * Check subscription status
- * GET /api/subscription/:businessId
+ * Turn the calendar feed off (owner JWT only)
+ * DELETE /api/businesses/:businessId/calendar-feed
  */
-app.get('/api/subscription/:businessId', async (req, res) => {
-  const { businessId } = req.params;
-  
+app.delete('/api/businesses/:businessId/calendar-feed', requireBusinessAuth({ allowApiKey: false }), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('subscriptions')
-      .select('*')
-      .eq('business_id', businessId)
-      .single();
+    const revoked = await revokeCalendarFeedTokens(req.businessId);
 
-    if (error || !data) {
-      return res.json({ 
-        plan: 'free', 
-        status: 'none',
-        message: 'No subscription found' 
-      });
-    }
+    console.log(`📅 Calendar feed disabled for business ${req.businessId}`);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('❌ Error revoking calendar feed token:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Check if expired
-    const now = new Date();
-    const periodEnd = data.current_period_end ? new Date(data.current_period_end) : null;
-    const trialEnd = data.trial_ends_at ? new Date(data.trial_ends_at) : null;
-    
-    let effectiveStatus = data.status;
-    
-    if (data.status === 'trial' && trialEnd && now > trialEnd) {
-      effectiveStatus = 'expired';
-    } else if (data.status === 'active' && periodEnd && now > periodEnd) {
-      effectiveStatus = 'expired';
-    }
+/**
+ * Calendar feed state and recent access (owner JWT only)
+ * GET /api/businesses/:businessId/calendar-feed
+ */
+app.get('/api/businesses/:businessId/calendar-feed', requireBusinessAuth({ allowApiKey: false }), async (req, res) => {
+  try {
+    const [tokens, accessLog] = await Promise.all([
+      supabase
+        .from('calendar_feed_tokens')
+        .select('id, token_prefix, created_at, revoked_at')
+        .eq('business_id', req.businessId)
+        .order('created_at', { ascending: false })
+        .limit(10),
+      supabase
+        .from('calendar_feed_access_log')
+        .select('token_id, status, ip, user_agent, created_at')
+        .eq('business_id', req.businessId)
+        .order('created_at', { ascending: false })
+        .limit(50)
+    ]);
+
+    if (tokens.error) throw tokens.error;
+    if (accessLog.error) throw accessLog.error;
 
     res.json({
-      plan: data.plan_type,
-      status: effectiveStatus,
-      billing_cycle: data.billing_cycle,
-      current_period_end: data.current_period_end,
-      trial_ends_at: data.trial_ends_at
+      enabled: (tokens.data || []).some(t => !t.revoked_at),
+      tokens: tokens.data || [],
+      access: accessLog.data || []
     });
-
   } catch (error) {
-    console.error('❌ Error checking subscription:', error);
+    console.error('❌ Error fetching calendar feed:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ============================================================
-// ICS CALENDAR FEED
-// ============================================================
+/**
+ * Template and variables of a confirmation or update, with the "add to calendar"
+ * link as {{6}} when there is one and the provider has the *_with_calendar
+ * template. Otherwise the plain template is sent with its usual 5 variables,
+ * since WhatsApp rejects a parameter count that does not match the template.
+ */
+function withCalendarLink(template, variables, calendarUrl) {
+  const calendarTemplate = `${template}_with_calendar`;
+
+  if (!calendarUrl || !messagingProvider.templateId(calendarTemplate)) {
+    return { template, variables };
+  }
+
+  return { template: calendarTemplate, variables: { ...variables, "6": calendarUrl } };
+}
 
 /**
- * Generate ICS calendar feed for a business
- * GET /cal/:businessId.ics
- * 
- * Usage: Add to Google Calendar via "Add calendar from URL"
+ * Signed link to a single booking's .ics, for the client
+ * The token names the booking and its business, so a link only opens that booking.
+ * @returns {string|null} The URL, or null without PUBLIC_BASE_URL or bookingId
  */
-app.get('/cal/:businessId.ics', async (req, res) => {
+function getBookingCalendarUrl(bookingId, businessId) {
+  if (!PUBLIC_BASE_URL || !bookingId || !businessId) return null;
+
+  const exp = Date.now() + BOOKING_ICS_LINK_DAYS * DAY_MS;
+  const token = signToken({ bid: String(bookingId), biz: businessId, exp }, BOOKING_ICS_SECRET);
+  return `${PUBLIC_BASE_URL}/cal/bookings/${token}.ics`;
+}
+
+/**
+ * "Add to calendar" file for one booking
+ * GET /cal/bookings/:token.ics
+ *
+ * The link comes from getBookingCalendarUrl (sent in confirmation and update
+ * messages). Invalid or expired links get a 404. Cancelled bookings are served
+ * with STATUS:CANCELLED so calendar apps remove the event.
+ */
+app.get('/cal/bookings/:token.ics', async (req, res) => {
+  const payload = verifySignedToken(req.params.token, BOOKING_ICS_SECRET);
+
+  if (!payload || !payload.bid || !payload.exp || Date.now() > payload.exp) {
+    console.error('❌ Invalid or expired booking calendar link');
+    return res.status(404).send('Event not found');
+  }
+
   try {
-    const businessId = req.params.businessId.replace('.ics', '');
-    
-    console.log(`📅 Calendar feed requested for business: ${businessId}`);
-    
-    // Get business info
-    const { data: business, error: businessError } = await supabase
-      .from('businesses')
-      .select('name, phone')
-      .eq('id', businessId)
-      .single();
-    
-    if (businessError || !business) {
-      console.error('❌ Business not found:', businessId);
-      return res.status(404).send('Calendar not found');
-    }
-    
-    // Get all future bookings for this business
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const { data: bookings, error: bookingsError } = await supabase
+    const { data: booking, error } = await supabase
       .from('bookings')
       .select(`
         id,
+        business_id,
         date,
         time,
         duration,
@@ -977,49 +4964,213 @@ app.get('/cal/:businessId.ics', async (req, res) => {
         client_name,
         client_phone,
         notes,
-        service_id,
-        services (name)
+        created_at,
+        updated_at,
+        revision,
+        services (name),
+        businesses (name, phone, email, calendar_alarm_minutes)
       `)
-      .eq('business_id', businessId)
-      .gte('date', today.toISOString().split('T')[0])
-      .in('status', ['approved', 'pending', 'confirmed'])
-      .order('date', { ascending: true })
-      .order('time', { ascending: true });
-    
-    if (bookingsError) {
-      console.error('❌ Error fetching bookings:', bookingsError);
-      return res.status(500).send('Error generating calendar');
+      .eq('id', payload.bid)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!booking || booking.business_id !== payload.biz || !booking.businesses) {
+      return res.status(404).send('Event not found');
     }
-    
-    // Generate ICS content
-    const icsContent = generateICS(business, bookings || []);
-    
-    // Set headers for ICS file
+
+    const icsContent = serializeICS([
+      ...generateCalendarHeader(),
+      ...generateEvent(booking, booking.businesses, { forClient: true }),
+      'END:VCALENDAR'
+    ]);
+
     res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
-    res.setHeader('Content-Disposition', `attachment; filename="linedup-${businessId}.ics"`);
-    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-    
-    console.log(`✅ Calendar feed generated with ${bookings?.length || 0} events`);
-    
+    res.setHeader('Content-Disposition', `attachment; filename="booking-${booking.id}.ics"`);
+    res.setHeader('Cache-Control', 'private, no-cache');
+
+    console.log(`📅 Booking calendar file served for booking ${booking.id}`);
     res.send(icsContent);
+  } catch (error) {
+    console.error('❌ Booking calendar file error:', error);
+    res.status(500).send('Error generating calendar');
+  }
+});
+
+/**
+ * Generate ICS calendar feed for a business
+ * GET /cal/:businessId/:token.ics
+ * 
+ * Usage: Add to Google Calendar via "Add calendar from URL"
+ * The URL comes from POST /api/businesses/:businessId/calendar-feed/rotate.
+ * Unknown or revoked tokens get a 404, like unknown businesses.
+ *
+ * The feed has an ETag; a matching If-None-Match gets 304 Not Modified.
+ */
+app.get('/cal/:businessId/:token.ics', async (req, res) => {
+  try {
+    const { businessId, token } = req.params;
     
+    console.log(`📅 Calendar feed requested for business: ${businessId}`);
+
+    const feedToken = await findCalendarFeedToken(businessId, token);
+    if (!feedToken) {
+      console.error('❌ Unknown or revoked calendar feed token for business:', businessId);
+      logRejectedCalendarFeedAccess(req, businessId);
+      return res.status(404).send('Calendar not found');
+    }
+
+    await sendCalendarFeed(req, res, businessId, feedToken.id);
+  } catch (error) {
+    console.error('❌ Calendar feed error:', error);
+    res.status(500).send('Error generating calendar');
+  }
+});
+
+/**
+ * Old calendar feed URL, without a token (deprecated)
+ * GET /cal/:businessId.ics
+ *
+ * Kept so calendars subscribed before feed tokens existed keep working. Once
+ * the business creates a token (rotate), this URL gets a 404 like any unknown feed.
+ */
+app.get('/cal/:businessId.ics', async (req, res) => {
+  try {
+    const { businessId } = req.params;
+
+    console.log(`📅 Old calendar feed URL requested for business: ${businessId}`);
+
+    if (await hasCalendarFeedTokens(businessId)) {
+      logRejectedCalendarFeedAccess(req, businessId);
+      return res.status(404).send('Calendar not found');
+    }
+
+    res.setHeader('Deprecation', 'true');
+    await sendCalendarFeed(req, res, businessId, null);
   } catch (error) {
     console.error('❌ Calendar feed error:', error);
     res.status(500).send('Error generating calendar');
   }
 });
 
+/**
+ * Build and send a business's calendar feed, and log the request
+ * @param {string|null} tokenId - The feed token used, null for the old URL
+ */
+async function sendCalendarFeed(req, res, businessId, tokenId) {
+  // Get business info
+  const { data: business, error: businessError } = await supabase
+    .from('businesses')
+    .select('name, phone, email, calendar_alarm_minutes')
+    .eq('id', businessId)
+    .maybeSingle();
+
+  if (businessError?.code === '22P02' || (!businessError && !business)) {
+    console.error('❌ Business not found:', businessId);
+    return res.status(404).send('Calendar not found');
+  }
+  if (businessError) throw businessError;
+  
+  // Get future bookings and the last ICS_PAST_DAYS days
+  const fromDate = format(subDays(new Date(), ICS_PAST_DAYS), 'yyyy-MM-dd');
+
+  // The ETag comes from a cheap query (how many bookings, and the latest change),
+  // so a poll of an unchanged feed is answered without building it
+  const { data: latest, count, error: latestError } = await supabase
+    .from('bookings')
+    .select('updated_at', { count: 'exact' })
+    .eq('business_id', businessId)
+    .gte('date', fromDate)
+    .in('status', ICS_BOOKING_STATUSES)
+    .order('updated_at', { ascending: false })
+    .limit(1);
+
+  if (latestError) {
+    console.error('❌ Error checking bookings:', latestError);
+    return res.status(500).send('Error generating calendar');
+  }
+
+  const etag = `"${crypto.createHash('sha1')
+    .update(JSON.stringify([fromDate, count, latest?.[0]?.updated_at || null, business]))
+    .digest('base64url')}"`;
+
+  res.setHeader('Cache-Control', 'private, no-cache');
+  res.setHeader('ETag', etag);
+
+  if (req.fresh) {
+    logCalendarFeedAccess(req, businessId, tokenId, 304);
+    return res.status(304).end();
+  }
+  
+  const { data: bookings, error: bookingsError } = await supabase
+    .from('bookings')
+    .select(`
+      id,
+      date,
+      time,
+      duration,
+      status,
+      client_name,
+      client_phone,
+      notes,
+      service_id,
+      created_at,
+      updated_at,
+      revision,
+      services (name)
+    `)
+    .eq('business_id', businessId)
+    .gte('date', fromDate)
+    .in('status', ICS_BOOKING_STATUSES)
+    .order('date', { ascending: true })
+    .order('time', { ascending: true });
+  
+  if (bookingsError) {
+    console.error('❌ Error fetching bookings:', bookingsError);
+    return res.status(500).send('Error generating calendar');
+  }
+  
+  // Generate ICS content
+  const icsContent = generateICS(business, bookings || []);
+  
+  // Set headers for ICS file
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="linedup-${businessId}.ics"`);
+  
+  console.log(`✅ Calendar feed generated with ${bookings?.length || 0} events`);
+  logCalendarFeedAccess(req, businessId, tokenId, 200);
+  
+  res.send(icsContent);
+}
+
 /**
  * Generate ICS file content
  */
-function generateICS(business, bookings) {
-  let ics = [
+function generateICS(business, bookings) {
+  let ics = generateCalendarHeader(`LinedUp - ${business.name}`);
+  
+  // Add each booking as an event
+  for (const booking of bookings) {
+    const event = generateEvent(booking, business);
+    ics = ics.concat(event);
+  }
+  
+  ics.push('END:VCALENDAR');
+  
+  return serializeICS(ics);
+}
+
+/**
+ * Opening lines of a calendar, up to and including the Israel VTIMEZONE
+ * @param {string} calendarName - Optional X-WR-CALNAME
+ */
+function generateCalendarHeader(calendarName) {
+  return [
     'BEGIN:VCALENDAR',
     'VERSION:2.0',
     'PRODID:-//LinedUp//Calendar//HE',
     'CALSCALE:GREGORIAN',
     'METHOD:PUBLISH',
-    `X-WR-CALNAME:LinedUp - ${business.name}`,
+    ...(calendarName ? [`X-WR-CALNAME:${escapeICSText(calendarName)}`] : []),
     'X-WR-TIMEZONE:Asia/Jerusalem',
     // Timezone definition for Israel
     'BEGIN:VTIMEZONE',
@@ -1040,22 +5191,14 @@ function generateICS(business, bookings) {
     'END:DAYLIGHT',
     'END:VTIMEZONE',
   ];
-  
-  // Add each booking as an event
-  for (const booking of bookings) {
-    const event = generateEvent(booking, business);
-    ics = ics.concat(event);
-  }
-  
-  ics.push('END:VCALENDAR');
-  
-  return ics.join('\r\n');
 }
 
 /**
  * Generate a single VEVENT for a booking
+ * Returns unfolded content lines with escaped values; serializeICS folds them.
+ * @param {object} options - { forClient: true } titles the event with the business instead of the client
  */
-function generateEvent(booking, business) {
+function generateEvent(booking, business, { forClient = false } = {}) {
   const serviceName = booking.services?.name || 'תור';
   const clientName = booking.client_name || 'לקוח';
   const clientPhone = booking.client_phone || '';
@@ -1074,37 +5217,101 @@ function generateEvent(booking, business) {
   // Format dates for ICS
   const dtStart = formatICSDate(startDate);
   const dtEnd = formatICSDate(endDate);
-  const dtStamp = formatICSDate(new Date());
+  // DTSTAMP is the last change, not the request time, so the feed is stable between requests
+  const lastModified = new Date(booking.updated_at || booking.created_at || startDate);
+  const dtStamp = formatICSUTCDate(lastModified);
+  const isCancelled = ICS_CANCELLED_STATUSES.includes(booking.status);
+  const isConfirmed = booking.status === 'approved' || booking.status === 'confirmed';
   
   // Create unique ID
   const uid = `booking-${booking.id}@linedup.app`;
   
   // Build description
-  let description = `לקוח: ${clientName}`;
-  if (clientPhone) {
-    description += `\\nטלפון: ${clientPhone}`;
-  }
-  if (booking.notes) {
-    description += `\\nהערות: ${booking.notes}`;
-  }
-  const statusHe = booking.status === 'approved' || booking.status === 'confirmed' ? 'מאושר' : 'ממתין לאישור';
-  description += `\\nסטטוס: ${statusHe}`;
+  const statusHe = isCancelled ? 'בוטל' : isConfirmed ? 'מאושר' : 'ממתין לאישור';
+  const description = forClient
+    ? [
+      `${serviceName} ב${business.name}`,
+      business.phone && `טלפון: ${business.phone}`,
+      `סטטוס: ${statusHe}`
+    ].filter(Boolean).join('\n')
+    : [
+      `לקוח: ${clientName}`,
+      clientPhone && `טלפון: ${clientPhone}`,
+      booking.notes && `הערות: ${booking.notes}`,
+      `סטטוס: ${statusHe}`
+    ].filter(Boolean).join('\n');
   
   // Status emoji
-  const statusEmoji = booking.status === 'approved' || booking.status === 'confirmed' ? '✅' : '⏳';
-  
-  return [
+  const statusEmoji = isCancelled ? '❌' : isConfirmed ? '✅' : '⏳';
+  const summary = forClient
+    ? `${statusEmoji} ${serviceName} - ${business.name}`
+    : `${statusEmoji} ${serviceName} - ${clientName}`;
+
+  const event = [
     'BEGIN:VEVENT',
     `UID:${uid}`,
     `DTSTAMP:${dtStamp}`,
+    `LAST-MODIFIED:${dtStamp}`,
+    `SEQUENCE:${getEventSequence(booking)}`,
     `DTSTART;TZID=Asia/Jerusalem:${dtStart}`,
     `DTEND;TZID=Asia/Jerusalem:${dtEnd}`,
-    `SUMMARY:${statusEmoji} ${serviceName} - ${clientName}`,
-    `DESCRIPTION:${description}`,
-    `LOCATION:${business.name}`,
-    `STATUS:${booking.status === 'approved' || booking.status === 'confirmed' ? 'CONFIRMED' : 'TENTATIVE'}`,
-    'END:VEVENT',
+    `SUMMARY:${escapeICSText(summary)}`,
+    `DESCRIPTION:${escapeICSText(description)}`,
+    `LOCATION:${escapeICSText(business.name)}`,
+    `STATUS:${isCancelled ? 'CANCELLED' : isConfirmed ? 'CONFIRMED' : 'TENTATIVE'}`,
   ];
+
+  if (business.email) {
+    event.push(`ORGANIZER;CN=${formatICSParam(business.name)}:mailto:${business.email}`);
+  }
+
+  const attendeePhone = normalizePhoneNumber(clientPhone);
+  if (attendeePhone) {
+    const partstat = isCancelled ? 'DECLINED' : isConfirmed ? 'ACCEPTED' : 'NEEDS-ACTION';
+    event.push(`ATTENDEE;CN=${formatICSParam(clientName)};ROLE=REQ-PARTICIPANT;PARTSTAT=${partstat}:tel:+${attendeePhone}`);
+  }
+
+  // Cancelled events do not ring
+  if (!isCancelled) {
+    for (const minutesBefore of getBusinessAlarmMinutes(business)) {
+      event.push(...generateAlarm(summary, minutesBefore));
+    }
+  }
+
+  event.push('END:VEVENT');
+  return event;
+}
+
+// At most this many alarms per event, each up to a week before the booking
+const ICS_MAX_ALARMS = 3;
+const ICS_MAX_ALARM_MINUTES = 7 * 24 * 60;
+
+/**
+ * Alarm offsets (minutes before the booking) from businesses.calendar_alarm_minutes
+ */
+function getBusinessAlarmMinutes(business) {
+  const minutes = Array.isArray(business.calendar_alarm_minutes) ? business.calendar_alarm_minutes : [];
+
+  return [...new Set(minutes.map(m => parseInt(m)))]
+    .filter(m => m > 0 && m <= ICS_MAX_ALARM_MINUTES)
+    .sort((a, b) => b - a)
+    .slice(0, ICS_MAX_ALARMS);
+}
+
+/**
+ * SEQUENCE of a booking's event: bookings.revision, which a database trigger
+ * increments on every update, wherever the booking was changed
+ */
+function getEventSequence(booking) {
+  const revision = parseInt(booking.revision);
+  return revision > 0 ? revision : 0;
+}
+
+/**
+ * Format a UTC timestamp for ICS (YYYYMMDDTHHmmssZ), as DTSTAMP requires
+ */
+function formatICSUTCDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
 }
 
 /**
@@ -1122,14 +5329,346 @@ function formatICSDate(date) {
 }
 
 // ============================================================
-// AUTOMATED REMINDERS — Fixed Schedule (Israel Time)
-// 18:00 → reminders for tomorrow 07:00–12:00
-// 08:00 → reminders for today 12:01–23:59
+// CALENDAR IMPORT (BUSY TIME)
+// ============================================================
+
+// How often external calendars are fetched and parsed again
+const CALENDAR_IMPORT_INTERVAL_MINUTES = parseInt(process.env.CALENDAR_IMPORT_INTERVAL_MINUTES) || 30;
+
+// Days ahead that events (and recurring events) are imported as busy blocks
+const CALENDAR_IMPORT_DAYS = parseInt(process.env.CALENDAR_IMPORT_DAYS) || 90;
+
+const CALENDAR_IMPORT_SOURCES_PER_RUN = 50;
+const BUSY_BLOCK_INSERT_CHUNK = 500;
+
+/**
+ * The calendar text of a source: downloaded for URLs, stored for uploads
+ */
+async function loadCalendarSourceText(source) {
+  if (source.source_type === 'url') {
+    return fetchCalendarSource(source.url);
+  }
+  return source.ics_content || '';
+}
+
+/**
+ * Replace the busy blocks of a source
+ * New blocks are inserted before the old ones are removed, so the business
+ * never looks free while a sync is running.
+ */
+async function storeBusyBlocks(source, blocks) {
+  const syncId = crypto.randomUUID();
+  const rows = blocks.map(block => ({
+    ...block,
+    business_id: source.business_id,
+    source_id: source.id,
+    sync_id: syncId
+  }));
+
+  for (let i = 0; i < rows.length; i += BUSY_BLOCK_INSERT_CHUNK) {
+    const { error } = await supabase
+      .from('busy_blocks')
+      .insert(rows.slice(i, i + BUSY_BLOCK_INSERT_CHUNK));
+
+    if (error) {
+      await supabase.from('busy_blocks').delete().eq('sync_id', syncId);
+      throw error;
+    }
+  }
+
+  const { error } = await supabase
+    .from('busy_blocks')
+    .delete()
+    .eq('source_id', source.id)
+    .neq('sync_id', syncId);
+
+  if (error) throw error;
+}
+
+/**
+ * Fetch, parse and store one calendar source, recording the result on the source
+ * @returns {number} How many busy blocks were imported
+ */
+async function syncCalendarSource(source, text = null) {
+  const syncedAt = new Date().toISOString();
+
+  try {
+    const calendar = text ?? await loadCalendarSourceText(source);
+    if (!calendar.includes('BEGIN:VCALENDAR')) {
+      throw calendarImportError('Not an iCalendar file');
+    }
+
+    const blocks = parseBusyBlocks(calendar, CALENDAR_IMPORT_DAYS);
+    await storeBusyBlocks(source, blocks);
+
+    await supabase
+      .from('calendar_sources')
+      .update({ last_synced_at: syncedAt, last_error: null, block_count: blocks.length })
+      .eq('id', source.id);
+
+    console.log(`📅 Calendar source ${source.id} synced: ${blocks.length} busy blocks`);
+    return blocks.length;
+  } catch (error) {
+    await supabase
+      .from('calendar_sources')
+      .update({ last_synced_at: syncedAt, last_error: describeCalendarError(error) })
+      .eq('id', source.id);
+
+    throw error;
+  }
+}
+
+/**
+ * Sync the calendar sources that were not synced in the last interval
+ * Uploaded files are parsed again too, so recurring events keep reaching CALENDAR_IMPORT_DAYS ahead.
+ */
+async function runCalendarImportJob() {
+  const staleBefore = new Date(Date.now() - CALENDAR_IMPORT_INTERVAL_MINUTES * 60 * 1000).toISOString();
+
+  const { data: sources, error } = await supabase
+    .from('calendar_sources')
+    .select('id, business_id, source_type, url, ics_content')
+    .or(`last_synced_at.is.null,last_synced_at.lt."${staleBefore}"`)
+    .order('last_synced_at', { ascending: true, nullsFirst: true })
+    .limit(CALENDAR_IMPORT_SOURCES_PER_RUN);
+
+  if (error) throw error;
+
+  for (const source of sources || []) {
+    try {
+      await syncCalendarSource(source);
+    } catch (syncError) {
+      console.error(`❌ Calendar source ${source.id} sync failed:`, syncError.message);
+    }
+  }
+}
+
+/**
+ * Run the calendar import now and then periodically
+ */
+function scheduleCalendarImportJob() {
+  const run = () => runCalendarImportJob().catch(error => console.error('❌ Calendar import job error:', error));
+
+  console.log(`⏰ Calendar import every ${CALENDAR_IMPORT_INTERVAL_MINUTES} min (${CALENDAR_IMPORT_DAYS} days ahead)`);
+  run();
+  setInterval(run, CALENDAR_IMPORT_INTERVAL_MINUTES * 60 * 1000);
+}
+
+/**
+ * Public fields of a calendar source (the URL may contain a private token)
+ */
+function formatCalendarSource({ url, ics_content, business_id, ...source }) {
+  let host = null;
+  if (url) {
+    try {
+      host = new URL(url).hostname;
+    } catch {
+      // Stored URLs are validated; nothing to show otherwise
+    }
+  }
+
+  return { ...source, host };
+}
+
+/**
+ * Add an external calendar
+ * POST /api/businesses/:businessId/calendar-sources
+ *
+ * JSON { "name", "url" } for a calendar URL, or an uploaded .ics file as the
+ * body with Content-Type: text/calendar (name in ?name=). The calendar is
+ * parsed before it is saved, so a broken URL or file gets a 400.
+ */
+app.post(
+  '/api/businesses/:businessId/calendar-sources',
+  express.text({ type: 'text/calendar', limit: CALENDAR_IMPORT_MAX_BYTES }),
+  requireBusinessAuth(),
+  async (req, res) => {
+    const isUpload = typeof req.body === 'string';
+    const name = String((isUpload ? req.query.name : req.body?.name) || '').trim().slice(0, 100) || null;
+
+    let url = null;
+    if (!isUpload) {
+      url = normalizeCalendarUrl(req.body?.url);
+      if (!url) {
+        return res.status(400).json({ error: 'Missing or invalid calendar url' });
+      }
+    }
+
+    let text;
+    let blocks;
+    try {
+      text = isUpload ? req.body : await fetchCalendarSource(url);
+      if (!text.includes('BEGIN:VCALENDAR')) throw calendarImportError('Not an iCalendar file');
+      blocks = parseBusyBlocks(text, CALENDAR_IMPORT_DAYS);
+    } catch (error) {
+      console.error('❌ Calendar source rejected:', error.message);
+      return res.status(400).json({ error: `Could not read calendar: ${describeCalendarError(error)}` });
+    }
+
+    try {
+      const { data: source, error } = await supabase
+        .from('calendar_sources')
+        .insert({
+          business_id: req.businessId,
+          name,
+          source_type: isUpload ? 'upload' : 'url',
+          url,
+          ics_content: isUpload ? text : null
+        })
+        .select('id, business_id, name, source_type, url, created_at')
+        .single();
+
+      if (error) throw error;
+
+      await storeBusyBlocks(source, blocks);
+      const syncedAt = new Date().toISOString();
+      await supabase
+        .from('calendar_sources')
+        .update({ last_synced_at: syncedAt, last_error: null, block_count: blocks.length })
+        .eq('id', source.id);
+
+      console.log(`📅 Calendar source added for business ${req.businessId}: ${blocks.length} busy blocks`);
+      res.json({
+        success: true,
+        source: formatCalendarSource({ ...source, last_synced_at: syncedAt, last_error: null, block_count: blocks.length })
+      });
+    } catch (error) {
+      console.error('❌ Error adding calendar source:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * List a business's external calendars
+ * GET /api/businesses/:businessId/calendar-sources
+ */
+app.get('/api/businesses/:businessId/calendar-sources', requireBusinessAuth(), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('calendar_sources')
+      .select('id, name, source_type, url, last_synced_at, last_error, block_count, created_at')
+      .eq('business_id', req.businessId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({ sources: (data || []).map(formatCalendarSource) });
+  } catch (error) {
+    console.error('❌ Error fetching calendar sources:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Fetch and parse an external calendar now
+ * POST /api/businesses/:businessId/calendar-sources/:sourceId/sync
+ */
+app.post('/api/businesses/:businessId/calendar-sources/:sourceId/sync', requireBusinessAuth(), async (req, res) => {
+  try {
+    const { data: source, error } = await supabase
+      .from('calendar_sources')
+      .select('id, business_id, source_type, url, ics_content')
+      .eq('id', req.params.sourceId)
+      .eq('business_id', req.businessId)
+      .maybeSingle();
+
+    if (error?.code === '22P02' || (!error && !source)) {
+      return res.status(404).json({ error: 'Calendar source not found' });
+    }
+    if (error) throw error;
+
+    try {
+      const blockCount = await syncCalendarSource(source);
+      res.json({ success: true, block_count: blockCount });
+    } catch (syncError) {
+      console.error('❌ Calendar source sync failed:', syncError.message);
+      res.status(502).json({ error: `Could not read calendar: ${describeCalendarError(syncError)}` });
+    }
+  } catch (error) {
+    console.error('❌ Error syncing calendar source:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove an external calendar and its busy blocks
+ * DELETE /api/businesses/:businessId/calendar-sources/:sourceId
+ */
+app.delete('/api/businesses/:businessId/calendar-sources/:sourceId', requireBusinessAuth(), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('calendar_sources')
+      .delete()
+      .eq('id', req.params.sourceId)
+      .eq('business_id', req.businessId)
+      .select('id');
+
+    if (error?.code === '22P02' || (!error && !data?.length)) {
+      return res.status(404).json({ error: 'Calendar source not found' });
+    }
+    if (error) throw error;
+
+    console.log(`📅 Calendar source ${req.params.sourceId} removed`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error removing calendar source:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Imported busy blocks of a business
+ * GET /api/businesses/:businessId/busy-blocks?from=2025-01-01&to=2025-01-31
+ *
+ * Blocks overlapping the range (default: today and the next 30 days).
+ */
+app.get('/api/businesses/:businessId/busy-blocks', requireBusinessAuth(), async (req, res) => {
+  const from = parseISO(String(req.query.from || format(new Date(), 'yyyy-MM-dd')));
+  let to = req.query.to ? parseISO(String(req.query.to)) : new Date(from.getTime() + 30 * DAY_MS);
+
+  // A date-only "to" includes that whole day
+  if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+    to = new Date(to.getTime() + DAY_MS);
+  }
+
+  if (isNaN(from) || isNaN(to) || to <= from) {
+    return res.status(400).json({ error: 'Invalid from/to dates' });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('busy_blocks')
+      .select('id, source_id, uid, starts_at, ends_at, all_day, calendar_sources (name)')
+      .eq('business_id', req.businessId)
+      .lt('starts_at', to.toISOString())
+      .gt('ends_at', from.toISOString())
+      .order('starts_at', { ascending: true })
+      .limit(1000);
+
+    if (error) throw error;
+
+    res.json({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      blocks: (data || []).map(({ calendar_sources, ...block }) => ({
+        ...block,
+        source_name: calendar_sources?.name || null
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching busy blocks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// AUTOMATED REMINDERS — Per-business lead times (Israel Time)
+// e.g. 24h before, 2h before, the evening before
 // ============================================================
 
-// Track sent reminders to avoid duplicates (cleared daily)
-const sentReminders = new Set();
-let lastCleanupDate = '';
+// How often the reminder job looks for bookings that are due
+const REMINDER_INTERVAL_MINUTES = parseInt(process.env.REMINDER_INTERVAL_MINUTES) || 5;
 
 /**
  * Fetch businesses with reminders enabled
@@ -1137,7 +5676,7 @@ let lastCleanupDate = '';
 async function fetchReminderBusinesses() {
   const { data, error } = await supabase
     .from('businesses')
-    .select('id, name, reminder_enabled')
+    .select('id, name, reminder_enabled, reminder_offsets')
     .eq('reminder_enabled', true);
 
   if (error) {
@@ -1149,23 +5688,17 @@ async function fetchReminderBusinesses() {
 }
 
 /**
- * Fetch confirmed bookings for a business on a specific date within a time range
+ * Fetch confirmed bookings for a business between two dates (inclusive)
  */
-async function fetchBookingsForTimeRange(businessId, dateStr, startTime, endTime) {
-  let query = supabase
+async function fetchUpcomingBookings(businessId, fromDate, toDate) {
+  const { data, error } = await supabase
     .from('bookings')
     .select('*')
     .eq('business_id', businessId)
     .eq('status', 'confirmed')
-    .eq('date', dateStr)
-    .not('client_phone', 'is', null)
-    .gte('time', startTime);
-
-  if (endTime) {
-    query = query.lte('time', endTime);
-  }
-
-  const { data, error } = await query;
+    .gte('date', fromDate)
+    .lte('date', toDate)
+    .not('client_phone', 'is', null);
 
   if (error) {
     console.error('Error fetching bookings:', error);
@@ -1176,30 +5709,62 @@ async function fetchBookingsForTimeRange(businessId, dateStr, startTime, endTime
 }
 
 /**
- * Send reminder for a single booking
+ * Idempotency key of a booking's reminder for one lead time
+ * Includes the booking's date and time, so a rescheduled booking is reminded again.
+ */
+function getReminderKey(booking, offset) {
+  return `reminder:${booking.id}:${booking.date}T${booking.time.substring(0, 5)}:${offset.key}`;
+}
+
+/**
+ * Reminder keys of a business that are already in the message queue
+ * A due reminder stays due until the booking starts, so runs skip the ones already sent.
  */
-async function sendBookingReminder(booking, business) {
-  const reminderKey = `${booking.id}-${booking.date}`;
-  if (sentReminders.has(reminderKey)) return false;
+async function fetchQueuedReminderKeys(businessId, keys) {
+  if (keys.length === 0) return new Set();
+
+  const { data, error } = await supabase
+    .from('message_queue')
+    .select('idempotency_key')
+    .in('idempotency_key', keys.map(key => `${businessId}:${key}`));
+
+  if (error) {
+    console.error('Error fetching queued reminders:', error);
+    return new Set();
+  }
 
+  return new Set((data || []).map(row => row.idempotency_key.slice(businessId.length + 1)));
+}
+
+/**
+ * Send reminder for a single booking
+ */
+async function sendBookingReminder(booking, business, offset) {
   try {
     const formattedDate = format(parseISO(booking.date), 'd בMMMM', { locale: he });
     const formattedTime = booking.time.substring(0, 5);
 
-    console.log(`   📤 Sending to ${booking.client_name} (${booking.client_phone}) — ${formattedDate} ${formattedTime}`);
+    console.log(`   📤 Sending ${offset.key} reminder to ${booking.client_name} (${booking.client_phone}) — ${formattedDate} ${formattedTime}`);
 
-    await sendWhatsAppMessage(
-      booking.client_phone,
-      TWILIO_CONFIG.templateSid,
-      {
+    // The idempotency key keeps restarts and other replicas from sending the same reminder again
+    const queued = await enqueueAndSend({
+      to: booking.client_phone,
+      template: 'reminder',
+      variables: {
         "1": booking.client_name || 'לקוח יקר',
         "2": business.name,
         "3": formattedDate,
         "4": formattedTime
-      }
-    );
+      },
+      context: { businessId: business.id, bookingId: booking.id },
+      idempotencyKey: getReminderKey(booking, offset)
+    });
 
-    sentReminders.add(reminderKey);
+    if (queued.duplicate) return false;
+    if (queued.message.status === 'dead') {
+      console.error(`   ❌ Failed to send to ${booking.client_name}:`, queued.message.last_error);
+      return false;
+    }
     return true;
   } catch (error) {
     console.error(`   ❌ Failed to send to ${booking.client_name}:`, error.message);
@@ -1208,124 +5773,180 @@ async function sendBookingReminder(booking, business) {
 }
 
 /**
- * Run the reminder job for either the 08:00 or 18:00 window
- * @param {'morning' | 'evening'} runType
+ * Send the reminders that are due for every business
+ * Looks ahead as far as each business's longest lead time.
  */
-async function runReminderJob(runType) {
+async function runReminderJob() {
   const now = new Date();
   const todayStr = format(now, 'yyyy-MM-dd');
+  let totalSent = 0;
 
-  // Clean up sentReminders set once per day
-  if (lastCleanupDate !== todayStr) {
-    sentReminders.clear();
-    lastCleanupDate = todayStr;
-    console.log('🧹 Cleared sentReminders for new day');
-  }
+  try {
+    const businesses = await fetchReminderBusinesses();
 
-  let targetDate, startTime, endTime, label;
+    for (const business of businesses) {
+      const offsets = getBusinessReminderOffsets(business);
+      if (offsets.length === 0) continue;
 
-  if (runType === 'evening') {
-    // 18:00 run → tomorrow's bookings from 07:00 to 12:00
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    targetDate = format(tomorrow, 'yyyy-MM-dd');
-    startTime = '07:00';
-    endTime = '12:00';
-    label = `tomorrow (${targetDate}) 07:00–12:00`;
-  } else {
-    // 08:00 run → today's bookings from 12:01 to 23:59
-    targetDate = todayStr;
-    startTime = '12:01';
-    endTime = '23:59';
-    label = `today (${targetDate}) 12:01–23:59`;
-  }
+      // Bookings whose earliest reminder can be due by now
+      const lookahead = Math.max(...offsets.map(offset => now.getTime() - offset.getSendAt(now).getTime()));
+      const toDate = format(new Date(now.getTime() + lookahead + DAY_MS), 'yyyy-MM-dd');
+      const bookings = await fetchUpcomingBookings(business.id, todayStr, toDate);
 
-  console.log('\n' + '='.repeat(60));
-  console.log(`🔔 Reminder Run (${runType}): ${now.toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem' })}`);
-  console.log(`📅 Sending reminders for bookings: ${label}`);
-  console.log('='.repeat(60));
+      const candidates = bookings
+        .map(booking => ({ booking, offset: getDueReminderOffset(booking, offsets, now) }))
+        .filter(({ offset }) => offset);
 
-  try {
-    const businesses = await fetchReminderBusinesses();
-    console.log(`Found ${businesses.length} business(es) with reminders enabled`);
+      const queuedKeys = await fetchQueuedReminderKeys(
+        business.id,
+        candidates.map(({ booking, offset }) => getReminderKey(booking, offset))
+      );
+      const due = candidates.filter(({ booking, offset }) => !queuedKeys.has(getReminderKey(booking, offset)));
 
-    let totalSent = 0;
+      if (due.length === 0) continue;
 
-    for (const business of businesses) {
-      console.log(`\n📋 ${business.name}:`);
-      const bookings = await fetchBookingsForTimeRange(business.id, targetDate, startTime, endTime);
+      console.log(`\n🔔 ${business.name}: ${due.length} reminder(s) due`);
 
-      if (bookings.length === 0) {
-        console.log('   No bookings in this window');
+      const check = await checkEntitlement(business.id, { feature: 'reminders', messages: 0 });
+      if (!check.allowed) {
+        console.log(`   ⛔ ${check.error}, skipping`);
         continue;
       }
 
-      console.log(`   Found ${bookings.length} booking(s)`);
+      // Send as many reminders as the quota allows (null = unlimited)
+      let remaining = check.remaining;
+
+      for (const { booking, offset } of due) {
+        if (remaining !== null && remaining <= 0) {
+          console.log('   ⛔ Monthly message quota reached, skipping the remaining reminders');
+          break;
+        }
 
-      for (const booking of bookings) {
-        const sent = await sendBookingReminder(booking, business);
-        if (sent) totalSent++;
+        const sent = await sendBookingReminder(booking, business, offset);
+        if (sent) {
+          totalSent++;
+          if (remaining !== null) remaining--;
+        }
       }
     }
 
-    console.log(`\n📊 Total reminders sent: ${totalSent}`);
-    console.log('='.repeat(60) + '\n');
+    if (totalSent > 0) {
+      console.log(`📊 Reminders sent: ${totalSent}`);
+    }
   } catch (error) {
     console.error('❌ Error in reminder job:', error);
   }
 }
 
 /**
- * Calculate milliseconds until the next target hour (Israel time)
- * Target hours: 08:00 and 18:00
+ * Run the reminder job now and then every REMINDER_INTERVAL_MINUTES
  */
-function getNextRunInfo() {
-  const now = new Date();
-  const currentHour = now.getHours();
-  const currentMinute = now.getMinutes();
-  const currentTime = currentHour + currentMinute / 60;
-
-  let nextHour, runType;
-
-  if (currentTime < 8) {
-    // Before 08:00 → next run is 08:00 today
-    nextHour = 8;
-    runType = 'morning';
-  } else if (currentTime < 18) {
-    // Between 08:00 and 18:00 → next run is 18:00 today
-    nextHour = 18;
-    runType = 'evening';
-  } else {
-    // After 18:00 → next run is 08:00 tomorrow
-    nextHour = 8 + 24; // will be handled below
-    runType = 'morning';
-  }
-
-  const target = new Date(now);
-  target.setHours(nextHour % 24, 0, 0, 0);
-  if (nextHour >= 24) {
-    target.setDate(target.getDate() + 1);
-  }
+function scheduleReminders() {
+  let running = false;
+  const run = async () => {
+    // A slow run must not overlap the next one
+    if (running) return;
+    running = true;
+    try {
+      await runReminderJob();
+    } finally {
+      running = false;
+    }
+  };
 
-  const msUntil = target.getTime() - now.getTime();
-  return { msUntil, runType, target };
+  console.log(`⏰ Reminder job every ${REMINDER_INTERVAL_MINUTES} min (default lead times: ${REMINDER_DEFAULT_OFFSETS.join(', ')})`);
+  run();
+  setInterval(run, REMINDER_INTERVAL_MINUTES * 60 * 1000);
 }
 
 /**
- * Schedule the next reminder run and chain subsequent ones
+ * Reminder lead times of a business
+ * GET /api/businesses/:businessId/reminder-settings
  */
-function scheduleReminders() {
-  const { msUntil, runType, target } = getNextRunInfo();
-  const minutesUntil = Math.round(msUntil / 1000 / 60);
+app.get('/api/businesses/:businessId/reminder-settings', requireBusinessAuth(), async (req, res) => {
+  try {
+    const { data: business, error } = await supabase
+      .from('businesses')
+      .select('reminder_enabled, reminder_offsets')
+      .eq('id', req.businessId)
+      .maybeSingle();
 
-  console.log(`⏰ Next reminder run: ${runType} at ${target.toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem' })} (in ${minutesUntil} min)`);
+    if (error) throw error;
+    if (!business) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
 
-  setTimeout(async () => {
-    await runReminderJob(runType);
-    // After running, schedule the next one
-    scheduleReminders();
-  }, msUntil);
-}
+    res.json({
+      reminder_enabled: business.reminder_enabled,
+      reminder_offsets: getBusinessReminderOffsets(business).map(offset => offset.key),
+      is_default: !Array.isArray(business.reminder_offsets)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching reminder settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Change the reminder lead times of a business
+ * PUT /api/businesses/:businessId/reminder-settings
+ *
+ * { "offsets": ["24h", "2h", "evening"], "enabled": true }
+ * "offsets": null goes back to REMINDER_DEFAULT_OFFSETS. Owner JWT only.
+ */
+app.put('/api/businesses/:businessId/reminder-settings', requireBusinessAuth({ allowApiKey: false }), async (req, res) => {
+  const { offsets, enabled } = req.body || {};
+  const update = {};
+
+  if (offsets !== undefined) {
+    if (offsets !== null && !Array.isArray(offsets)) {
+      return res.status(400).json({ error: 'offsets must be an array' });
+    }
+    if (offsets && offsets.length > REMINDER_MAX_OFFSETS) {
+      return res.status(400).json({ error: `At most ${REMINDER_MAX_OFFSETS} reminder offsets` });
+    }
+
+    const invalid = (offsets || []).filter(value => !parseReminderOffset(value));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Invalid reminder offsets: ${invalid.join(', ')}` });
+    }
+
+    update.reminder_offsets = offsets && [...new Set(offsets.map(value => parseReminderOffset(value).key))];
+  }
+
+  if (enabled !== undefined) {
+    update.reminder_enabled = Boolean(enabled);
+  }
+
+  if (Object.keys(update).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  try {
+    const { data: business, error } = await supabase
+      .from('businesses')
+      .update(update)
+      .eq('id', req.businessId)
+      .select('reminder_enabled, reminder_offsets')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!business) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+
+    console.log(`🔔 Reminder settings updated for business ${req.businessId}`);
+    res.json({
+      success: true,
+      reminder_enabled: business.reminder_enabled,
+      reminder_offsets: getBusinessReminderOffsets(business).map(offset => offset.key),
+      is_default: !Array.isArray(business.reminder_offsets)
+    });
+  } catch (error) {
+    console.error('❌ Error updating reminder settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
 // ============================================================
 // START SERVER
@@ -1337,7 +5958,13 @@ app.listen(PORT, () => {
   console.log('\n🚀 LinedUp WhatsApp Service v2.2 Started');
   console.log(`🌐 Server running on port ${PORT}`);
   console.log(`📡 Supabase: ${SUPABASE_URL}`);
-  console.log(`📱 Twilio WhatsApp: ${TWILIO_CONFIG.whatsappNumber}`);
+  console.log(`📱 Messaging provider: ${messagingProvider.name}`);
+  if (CORS_ORIGINS.length === 0) {
+    console.log('⚠️ CORS_ORIGINS not set - all origins are allowed');
+  }
+  if (!GROW_WEBHOOK_KEY) {
+    console.log('⚠️ GROW_WEBHOOK_KEY not set - Grow payment webhooks will be rejected');
+  }
   console.log('\n📡 Endpoints:');
   console.log('   GET  /health');
   console.log('   POST /api/otp/send');
@@ -1348,13 +5975,57 @@ app.listen(PORT, () => {
   console.log('   POST /api/send-update');
   console.log('   POST /api/send-waiting-list');
   console.log('   POST /api/send-broadcast');
+  console.log('   POST /api/broadcasts/preview');
+  console.log('   GET  /api/broadcasts/:jobId');
+  console.log('   POST /api/broadcasts/:jobId/cancel');
+  console.log('   POST /api/webhooks/twilio/inbound');
+  console.log('   POST /api/webhooks/twilio/status');
+  console.log('   GET  /api/messages/:businessId');
+  console.log('   GET  /api/message-queue/:queueId');
+  console.log('   POST /api/suppressions');
+  console.log('   DELETE /api/suppressions');
+  console.log('   GET  /api/suppressions/:businessId');
+  console.log('   POST /api/admin/suppressions');
+  console.log('   DELETE /api/admin/suppressions');
+  console.log('   GET  /api/admin/suppressions');
+  console.log('   POST /api/businesses/:businessId/api-keys');
+  console.log('   GET  /api/businesses/:businessId/api-keys');
+  console.log('   DELETE /api/businesses/:businessId/api-keys/:keyId');
   console.log('   POST /api/webhooks/grow');
   console.log('   GET  /api/subscription/:businessId');
-  console.log('   GET  /cal/:businessId.ics');
+  console.log('   POST /api/subscription/:businessId/cancel');
+  console.log('   GET  /api/usage/:businessId');
+  console.log('   GET  /api/receipts/:businessId');
+  console.log('   GET  /cal/:businessId/:token.ics');
+  console.log('   GET  /cal/bookings/:token.ics');
+  console.log('   GET  /cal/:businessId.ics (deprecated)');
+  console.log('   POST /api/businesses/:businessId/calendar-feed/rotate');
+  console.log('   GET  /api/businesses/:businessId/calendar-feed');
+  console.log('   DELETE /api/businesses/:businessId/calendar-feed');
+  console.log('   POST /api/businesses/:businessId/calendar-sources');
+  console.log('   GET  /api/businesses/:businessId/calendar-sources');
+  console.log('   POST /api/businesses/:businessId/calendar-sources/:sourceId/sync');
+  console.log('   DELETE /api/businesses/:businessId/calendar-sources/:sourceId');
+  console.log('   GET  /api/businesses/:businessId/busy-blocks');
+  console.log('   GET  /api/businesses/:businessId/reminder-settings');
+  console.log('   PUT  /api/businesses/:businessId/reminder-settings');
   console.log('');
   
   // Start reminder scheduler
   scheduleReminders();
+
+  // Start expired OTP cleanup
+  scheduleOTPSweeper();
+
+  // Start outbound message queue worker
+  scheduleMessageQueue();
+
+  // Continue broadcasts interrupted by a restart
+  scheduleBroadcastResume();
+
+  // Start subscription renewals, grace period and expiry
+  scheduleSubscriptionJob();
+  scheduleCalendarImportJob();
 });
 
 // Graceful shutdown
@@ -0,0 +1,126 @@
+/**
+ * Booking reminder lead times
+ *
+ * Parsing the lead times a business chooses ("24h", "evening", ...) and
+ * deciding which reminder, if any, a booking is due for at a given time.
+ * Booking dates and times are read in the process time zone (Israel time).
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Lead times for businesses without reminder_offsets (comma separated)
+export const REMINDER_DEFAULT_OFFSETS = (process.env.REMINDER_DEFAULT_OFFSETS || 'evening-or-morning').split(',').map(o => o.trim()).filter(Boolean);
+
+// Send times of the "evening" (day before) and "morning" (same day) lead times
+const REMINDER_EVENING_TIME = process.env.REMINDER_EVENING_TIME || '18:00';
+const REMINDER_MORNING_TIME = process.env.REMINDER_MORNING_TIME || '08:00';
+
+// "evening-or-morning": bookings up to this time are reminded the evening before, later ones that morning
+const REMINDER_EVENING_UNTIL = process.env.REMINDER_EVENING_UNTIL || '12:00';
+
+export const REMINDER_MAX_OFFSETS = 3;
+const REMINDER_MAX_LEAD_MS = 7 * DAY_MS;
+
+/**
+ * Minutes since midnight of an "HH:MM" time
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Parse a reminder lead time
+ * "24h", "90m", "2d" before the booking, "evening" (the day before at
+ * REMINDER_EVENING_TIME), "morning" (the same day at REMINDER_MORNING_TIME) or
+ * "evening-or-morning" (evening for bookings up to REMINDER_EVENING_UNTIL,
+ * morning for later ones, as the fixed 18:00 and 08:00 runs did)
+ * @returns {object|null} { key, getSendAt(start) }, or null if the value is not valid
+ */
+export function parseReminderOffset(value) {
+  const key = String(value).trim().toLowerCase();
+
+  if (key === 'evening' || key === 'morning') {
+    const minutes = toMinutes(key === 'evening' ? REMINDER_EVENING_TIME : REMINDER_MORNING_TIME);
+    return {
+      key,
+      getSendAt: start => {
+        const sendAt = new Date(start);
+        if (key === 'evening') sendAt.setDate(sendAt.getDate() - 1);
+        sendAt.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+        return sendAt;
+      }
+    };
+  }
+
+  if (key === 'evening-or-morning') {
+    const evening = parseReminderOffset('evening');
+    const morning = parseReminderOffset('morning');
+    const eveningUntil = toMinutes(REMINDER_EVENING_UNTIL);
+    return {
+      key,
+      getSendAt: start => (start.getHours() * 60 + start.getMinutes() <= eveningUntil ? evening : morning).getSendAt(start)
+    };
+  }
+
+  const match = key.match(/^(\d+)(m|h|d)$/);
+  if (!match) return null;
+
+  const leadMs = parseInt(match[1]) * { m: 60000, h: HOUR_MS, d: DAY_MS }[match[2]];
+  if (leadMs <= 0 || leadMs > REMINDER_MAX_LEAD_MS) return null;
+
+  return { key, getSendAt: start => new Date(start.getTime() - leadMs) };
+}
+
+/**
+ * Reminder lead times of a business (businesses.reminder_offsets, or REMINDER_DEFAULT_OFFSETS)
+ * Invalid values are ignored; at most REMINDER_MAX_OFFSETS are used.
+ */
+export function getBusinessReminderOffsets(business) {
+  const values = Array.isArray(business.reminder_offsets) ? business.reminder_offsets : REMINDER_DEFAULT_OFFSETS;
+  const offsets = [];
+
+  for (const value of values) {
+    const offset = parseReminderOffset(value);
+    if (offset && !offsets.some(o => o.key === offset.key)) offsets.push(offset);
+  }
+
+  return offsets.slice(0, REMINDER_MAX_OFFSETS);
+}
+
+/**
+ * Start of a booking as a Date (Israel time)
+ */
+function getBookingStart(booking) {
+  const [year, month, day] = booking.date.split('-');
+  const [hours, minutes] = booking.time.split(':');
+  return new Date(year, month - 1, day, hours, minutes);
+}
+
+/**
+ * The reminder to send for a booking now, if any
+ * - Only lead times whose send time has passed, before the booking starts
+ * - Of those, only the latest one, so a late run does not send several at once
+ * - A lead time that passed before the booking was made is skipped while a
+ *   later one is still ahead; otherwise the booking would get no reminder at all
+ * @returns {object|null} The offset to send
+ */
+export function getDueReminderOffset(booking, offsets, now) {
+  const start = getBookingStart(booking);
+  if (now >= start) return null;
+
+  const createdAt = booking.created_at ? new Date(booking.created_at) : null;
+  const scheduled = offsets
+    .map(offset => ({ offset, sendAt: offset.getSendAt(start) }))
+    .filter(({ sendAt }) => sendAt < start)
+    .sort((a, b) => b.sendAt - a.sendAt);
+
+  const due = scheduled.find(({ sendAt }) => sendAt <= now);
+  if (!due) return null;
+
+  const laterAhead = scheduled.some(({ sendAt }) => sendAt > now);
+  if (createdAt && createdAt > due.sendAt && laterAhead) return null;
+
+  return due.offset;
+}
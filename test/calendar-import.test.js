@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { serializeICS, parseBusyBlocks } from '../ics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Monday 2 March 2026, 08:00 in Israel (UTC+2, before daylight saving time)
+const NOW = new Date('2026-03-02T06:00:00Z');
+
+function calendar(...events) {
+  return serializeICS([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+    'END:VCALENDAR'
+  ]);
+}
+
+function starts(text, days = 7, now = NOW) {
+  return parseBusyBlocks(text, days, now).map(block => block.starts_at).sort();
+}
+
+test('weekly BYDAY expands to the listed weekdays in the event time zone', () => {
+  const text = calendar([
+    'UID:weekly',
+    'DTSTART;TZID=Asia/Jerusalem:20260105T090000',
+    'DTEND;TZID=Asia/Jerusalem:20260105T100000',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO,WE'
+  ]);
+
+  const blocks = parseBusyBlocks(text, 7, NOW);
+  assert.deepEqual(blocks.map(block => block.starts_at).sort(), [
+    '2026-03-02T07:00:00.000Z',
+    '2026-03-04T07:00:00.000Z'
+  ]);
+  assert.equal(blocks[0].ends_at, '2026-03-02T08:00:00.000Z');
+  assert.equal(blocks[0].uid, 'weekly');
+  assert.equal(blocks[0].all_day, false);
+});
+
+test('monthly ordinal BYDAY picks the last Friday and stops at COUNT', () => {
+  const text = calendar([
+    'UID:last-friday',
+    'DTSTART;TZID=Asia/Jerusalem:20260130T100000',
+    'DURATION:PT1H',
+    'RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3'
+  ]);
+
+  // 27 March is after the switch to daylight saving time (UTC+3)
+  assert.deepEqual(starts(text, 120, new Date('2026-01-29T00:00:00Z')), [
+    '2026-01-30T08:00:00.000Z',
+    '2026-02-27T08:00:00.000Z',
+    '2026-03-27T07:00:00.000Z'
+  ]);
+});
+
+test('UNTIL in UTC is compared with occurrences in the event time zone', () => {
+  const event = until => calendar([
+    'UID:until',
+    'DTSTART;TZID=Asia/Jerusalem:20260302T090000',
+    'DURATION:PT1H',
+    `RRULE:FREQ=DAILY;UNTIL=${until}`
+  ]);
+
+  // 07:00Z is 09:00 in Jerusalem, so the occurrence on 4 March is included
+  assert.equal(starts(event('20260304T070000Z')).length, 3);
+  assert.equal(starts(event('20260304T065959Z')).length, 2);
+  // A local UNTIL is read in the event's time zone
+  assert.equal(starts(event('20260304T090000')).length, 3);
+});
+
+test('EXDATE removes occurrences, in a TZID or in UTC', () => {
+  const text = calendar([
+    'UID:exdate',
+    'DTSTART;TZID=Asia/Jerusalem:20260302T090000',
+    'DURATION:PT1H',
+    'RRULE:FREQ=DAILY;COUNT=5',
+    'EXDATE;TZID=Asia/Jerusalem:20260303T090000',
+    'EXDATE:20260305T070000Z'
+  ]);
+
+  assert.deepEqual(starts(text), [
+    '2026-03-02T07:00:00.000Z',
+    '2026-03-04T07:00:00.000Z',
+    '2026-03-06T07:00:00.000Z'
+  ]);
+});
+
+test('RECURRENCE-ID overrides replace or cancel the original occurrence', () => {
+  const text = calendar(
+    [
+      'UID:series',
+      'DTSTART;TZID=Asia/Jerusalem:20260302T090000',
+      'DURATION:PT1H',
+      'RRULE:FREQ=DAILY;COUNT=4'
+    ],
+    [
+      'UID:series',
+      'RECURRENCE-ID;TZID=Asia/Jerusalem:20260303T090000',
+      'DTSTART;TZID=Asia/Jerusalem:20260303T150000',
+      'DTEND;TZID=Asia/Jerusalem:20260303T160000'
+    ],
+    [
+      'UID:series',
+      'RECURRENCE-ID:20260304T070000Z',
+      'DTSTART;TZID=Asia/Jerusalem:20260304T090000',
+      'DURATION:PT1H',
+      'STATUS:CANCELLED'
+    ]
+  );
+
+  assert.deepEqual(starts(text), [
+    '2026-03-02T07:00:00.000Z',
+    '2026-03-03T13:00:00.000Z',
+    '2026-03-05T07:00:00.000Z'
+  ]);
+});
+
+test('a long daily COUNT series that began years ago reaches the window', () => {
+  const event = count => calendar([
+    'UID:daily',
+    'DTSTART;TZID=Asia/Jerusalem:20100101T090000',
+    'DURATION:PT1H',
+    `RRULE:FREQ=DAILY;COUNT=${count}`
+  ]);
+
+  // COUNT that ends exactly on 3 March 2026; the window starts a day before now
+  const untilMarch3 = (Date.UTC(2026, 2, 3) - Date.UTC(2010, 0, 1)) / DAY_MS + 1;
+  assert.deepEqual(starts(event(untilMarch3)), [
+    '2026-03-01T07:00:00.000Z',
+    '2026-03-02T07:00:00.000Z',
+    '2026-03-03T07:00:00.000Z'
+  ]);
+  assert.equal(starts(event(20000)).length, 8);
+  assert.deepEqual(starts(event(5000)), []);
+});
+
+test('a long weekly BYDAY COUNT series counts the occurrences it skips', () => {
+  // Starts on a Wednesday, so the Monday of the first week does not count
+  const weeks = (Date.UTC(2026, 2, 2) - Date.UTC(2000, 0, 3)) / (7 * DAY_MS);
+  const text = calendar([
+    'UID:weekly-count',
+    'DTSTART;TZID=Asia/Jerusalem:20000105T090000',
+    'DURATION:PT1H',
+    `RRULE:FREQ=WEEKLY;BYDAY=MO,TH;COUNT=${2 * weeks + 1}`
+  ]);
+
+  assert.deepEqual(starts(text, 14), [
+    '2026-03-02T07:00:00.000Z',
+    '2026-03-05T07:00:00.000Z'
+  ]);
+});
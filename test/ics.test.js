@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  escapeICSText,
+  unescapeICSText,
+  formatICSParam,
+  foldICSLine,
+  serializeICS,
+  generateAlarm,
+  unfoldICS,
+  parseICSContentLine,
+  parseICSEvents
+} from '../ics.js';
+
+const SPECIAL = 'שלום, עולם; C:\\Users\\client\nשורה שנייה\r\nשורה שלישית';
+const LONG_NOTE = 'הלקוחה ביקשה צבע בהיר יותר 💇‍♀️✨, להגיע 10 דקות לפני; חניה ברחוב הרצל 12\\ליד הבנק 🚗🅿️. '.repeat(6);
+
+function buildCalendar() {
+  return serializeICS([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'UID:booking-1@linedup.app',
+    `SUMMARY:${escapeICSText(SPECIAL)}`,
+    `DESCRIPTION:${escapeICSText(LONG_NOTE)}`,
+    `ATTENDEE;CN=${formatICSParam('כהן, דנה: VIP')};ROLE=REQ-PARTICIPANT:tel:+972501234567`,
+    ...generateAlarm(LONG_NOTE, 60),
+    ...generateAlarm('תזכורת', 1440),
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ]);
+}
+
+test('escaped text round-trips, including \\ ; , and newlines', () => {
+  const escaped = escapeICSText(SPECIAL);
+  assert.doesNotMatch(escaped, /[\r\n]/);
+  assert.equal(unescapeICSText(escaped), SPECIAL.replace(/\r\n/g, '\n'));
+  assert.equal(unescapeICSText(escapeICSText('\\n is not a newline')), '\\n is not a newline');
+});
+
+test('folded lines are at most 75 octets and never split a UTF-8 character', () => {
+  const ics = buildCalendar();
+  assert.ok(ics.endsWith('\r\n'));
+  assert.doesNotMatch(ics.replace(/\r\n/g, ''), /[\r\n]/, 'only CRLF line breaks');
+
+  const decoder = new TextDecoder('utf-8', { fatal: true });
+  const lines = Buffer.from(ics, 'utf8').toString('latin1').split('\r\n').slice(0, -1);
+  let continuations = 0;
+  for (const line of lines) {
+    const bytes = Buffer.from(line, 'latin1');
+    assert.ok(bytes.length <= 75, `${bytes.length} octets: ${decoder.decode(bytes)}`);
+    assert.doesNotThrow(() => decoder.decode(bytes));
+    if (line.startsWith(' ')) continuations++;
+  }
+  assert.ok(continuations > 10, 'the long note is folded');
+});
+
+test('folding keeps a line that fits as is', () => {
+  const line = 'SUMMARY:' + 'א'.repeat(33);
+  assert.equal(Buffer.byteLength(line), 74);
+  assert.equal(foldICSLine(line), line);
+  assert.equal(unfoldICS(foldICSLine(line + 'בג')), line + 'בג');
+});
+
+test('unfolding and unescaping the output gives back the original values', () => {
+  const [event] = parseICSEvents(buildCalendar());
+
+  assert.equal(unescapeICSText(event.SUMMARY[0].value), SPECIAL.replace(/\r\n/g, '\n'));
+  assert.equal(unescapeICSText(event.DESCRIPTION[0].value), LONG_NOTE);
+  assert.deepEqual(event.ATTENDEE[0].params, { CN: 'כהן, דנה: VIP', ROLE: 'REQ-PARTICIPANT' });
+  assert.equal(event.ATTENDEE[0].value, 'tel:+972501234567');
+});
+
+test('raw bytes unfold before decoding, as fetched calendars are read', () => {
+  const raw = Buffer.from(buildCalendar(), 'utf8').toString('latin1');
+  const [event] = parseICSEvents(unfoldICS(raw, 'latin1'));
+
+  assert.equal(unescapeICSText(event.DESCRIPTION[0].value), LONG_NOTE);
+});
+
+test('alarms are nested in the event with an escaped description', () => {
+  const ics = buildCalendar();
+  const lines = unfoldICS(ics).split('\r\n');
+
+  const alarms = [];
+  lines.forEach((line, i) => {
+    if (line === 'BEGIN:VALARM') alarms.push(lines.slice(i, lines.indexOf('END:VALARM', i) + 1));
+  });
+  assert.equal(alarms.length, 2);
+  assert.ok(lines.indexOf('BEGIN:VALARM') > lines.indexOf('BEGIN:VEVENT'));
+  assert.ok(lines.lastIndexOf('END:VALARM') < lines.indexOf('END:VEVENT'));
+
+  assert.deepEqual(alarms[1], [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'DESCRIPTION:תזכורת',
+    'TRIGGER:-PT1440M',
+    'END:VALARM'
+  ]);
+  assert.equal(alarms[0][3], 'TRIGGER:-PT60M');
+  assert.equal(unescapeICSText(parseICSContentLine(alarms[0][2]).value), LONG_NOTE);
+
+  // Alarm properties are not read as event properties
+  const [event] = parseICSEvents(ics);
+  assert.equal(event.DESCRIPTION.length, 1);
+  assert.equal(event.TRIGGER, undefined);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  REMINDER_DEFAULT_OFFSETS,
+  parseReminderOffset,
+  getBusinessReminderOffsets,
+  getDueReminderOffset
+} from '../reminders.js';
+
+// Bookings are in Israel time, as in the service
+process.env.TZ = 'Asia/Jerusalem';
+
+const local = (date, time) => new Date(`${date}T${time}:00+02:00`);
+
+function sendAt(key, date, time) {
+  const [hours, minutes] = time.split(':');
+  const [year, month, day] = date.split('-');
+  return parseReminderOffset(key).getSendAt(new Date(year, month - 1, day, hours, minutes)).toISOString();
+}
+
+function due(offsets, booking, now) {
+  return getDueReminderOffset(booking, offsets.map(parseReminderOffset), now)?.key ?? null;
+}
+
+test('lead times are parsed; invalid and too long ones are refused', () => {
+  assert.equal(sendAt('24h', '2026-03-10', '10:00'), local('2026-03-09', '10:00').toISOString());
+  assert.equal(sendAt('90m', '2026-03-10', '10:00'), local('2026-03-10', '08:30').toISOString());
+  assert.equal(sendAt('2d', '2026-03-10', '10:00'), local('2026-03-08', '10:00').toISOString());
+  assert.equal(parseReminderOffset(' Evening ').key, 'evening');
+
+  for (const value of ['8d', '0h', '169h', 'soon', '2 h', '-1h', '', null]) {
+    assert.equal(parseReminderOffset(value), null, String(value));
+  }
+});
+
+test('evening is the day before and morning the same day, in Israel time', () => {
+  assert.equal(sendAt('evening', '2026-03-10', '10:00'), local('2026-03-09', '18:00').toISOString());
+  assert.equal(sendAt('morning', '2026-03-10', '15:00'), local('2026-03-10', '08:00').toISOString());
+  // Across the switch to daylight saving time (UTC+3 from 27 March)
+  assert.equal(sendAt('evening', '2026-03-28', '10:00'), '2026-03-27T15:00:00.000Z');
+});
+
+test('evening-or-morning is the default and matches the fixed 18:00 and 08:00 runs', () => {
+  assert.deepEqual(REMINDER_DEFAULT_OFFSETS, ['evening-or-morning']);
+  assert.deepEqual(getBusinessReminderOffsets({ reminder_offsets: null }).map(o => o.key), ['evening-or-morning']);
+
+  assert.equal(sendAt('evening-or-morning', '2026-03-10', '07:00'), local('2026-03-09', '18:00').toISOString());
+  assert.equal(sendAt('evening-or-morning', '2026-03-10', '12:00'), local('2026-03-09', '18:00').toISOString());
+  assert.equal(sendAt('evening-or-morning', '2026-03-10', '12:01'), local('2026-03-10', '08:00').toISOString());
+  assert.equal(sendAt('evening-or-morning', '2026-03-10', '23:59'), local('2026-03-10', '08:00').toISOString());
+});
+
+test('business lead times drop invalid values and duplicates and keep at most 3', () => {
+  const keys = business => getBusinessReminderOffsets(business).map(o => o.key);
+  assert.deepEqual(keys({ reminder_offsets: ['24H', 'soon', '24h', 'evening'] }), ['24h', 'evening']);
+  assert.deepEqual(keys({ reminder_offsets: ['1d', '2h', '30m', 'morning'] }), ['1d', '2h', '30m']);
+  assert.deepEqual(keys({ reminder_offsets: [] }), []);
+});
+
+test('only the latest lead time that has come is due', () => {
+  const booking = { date: '2026-03-10', time: '10:00', created_at: '2026-03-01T10:00:00Z' };
+
+  assert.equal(due(['24h', '2h'], booking, local('2026-03-09', '09:59')), null);
+  assert.equal(due(['24h', '2h'], booking, local('2026-03-09', '10:00')), '24h');
+  assert.equal(due(['24h', '2h'], booking, local('2026-03-10', '07:59')), '24h');
+  // A job that was down past both sends only the later one
+  assert.equal(due(['24h', '2h'], booking, local('2026-03-10', '09:00')), '2h');
+  assert.equal(due(['24h', '2h'], booking, local('2026-03-10', '10:00')), null);
+});
+
+test('a lead time that passed before the booking was made is skipped while a later one is ahead', () => {
+  const booking = { date: '2026-03-10', time: '10:00', created_at: '2026-03-09T20:00:00Z' };
+
+  assert.equal(due(['24h', '2h'], booking, local('2026-03-09', '22:05')), null);
+  assert.equal(due(['24h', '2h'], booking, local('2026-03-10', '08:00')), '2h');
+  // With no later lead time left, the late booking still gets its reminder
+  assert.equal(due(['24h'], booking, local('2026-03-09', '22:05')), '24h');
+});
+
+test('evening and morning reminders are only due before the booking starts', () => {
+  const early = { date: '2026-03-10', time: '07:30', created_at: '2026-03-01T10:00:00Z' };
+  const afternoon = { date: '2026-03-10', time: '15:00', created_at: '2026-03-01T10:00:00Z' };
+
+  // 08:00 is after a 07:30 booking, so morning never applies to it
+  assert.equal(due(['morning'], early, local('2026-03-10', '07:00')), null);
+  assert.equal(due(['evening', 'morning'], early, local('2026-03-10', '07:00')), 'evening');
+
+  assert.equal(due(['evening', 'morning'], afternoon, local('2026-03-09', '18:00')), 'evening');
+  assert.equal(due(['evening', 'morning'], afternoon, local('2026-03-10', '08:00')), 'morning');
+  assert.equal(due(['evening-or-morning'], afternoon, local('2026-03-09', '18:00')), null);
+  assert.equal(due(['evening-or-morning'], afternoon, local('2026-03-10', '08:00')), 'evening-or-morning');
+});